@@ -2,27 +2,34 @@
 
 'use strict';
 
-var assert = require('assert'),
+var archive = require('../backup/archive.js'),
+    assert = require('assert'),
+    async = require('async'),
+    backupDownload = require('../backup/download.js'),
+    backupUpload = require('../backup/upload.js'),
     config = require('../config.js'),
     ejs = require('ejs'),
     EventSource = require('eventsource'),
+    filesystem = require('../machine/filesystem.js'),
     fs = require('fs'),
     helper = require('../helper.js'),
     https = require('https'),
     manifestFormat = require('cloudron-manifestformat'),
     opn = require('opn'),
+    output = require('../output.js'),
     path = require('path'),
     ProgressBar = require('progress'),
     ProgressStream = require('progress-stream'),
     querystring = require('querystring'),
     readlineSync = require('readline-sync'),
     safe = require('safetydance'),
+    semver = require('semver'),
     spawn = require('child_process').spawn,
     split = require('split'),
     superagent = require('superagent'),
-    Table = require('easy-table'),
     tar = require('tar-fs'),
     util = require('util'),
+    yaml = require('js-yaml'),
     zlib = require('zlib'),
     _ = require('underscore');
 
@@ -36,7 +43,10 @@ exports = module.exports = {
     logout: logout,
     open: open,
     install: install,
+    configure: configure,
+    update: update,
     uninstall: uninstall,
+    apply: apply,
     logs: logs,
     exec: exec,
     status: status,
@@ -44,16 +54,29 @@ exports = module.exports = {
     pull: pull,
     push: push,
     restart: restart,
+    stop: stop,
+    start: start,
     createOAuthAppCredentials: createOAuthAppCredentials,
     init: init,
     restore: restore,
     clone: clone,
     backup: createBackup,
     downloadBackup: downloadBackup,
-    listBackups: listBackups
+    downloadAppBackup: downloadAppBackup,
+    importBackup: importBackup,
+    listBackups: listBackups,
+
+    // these are used by the tests
+    parseMemoryLimit: parseMemoryLimit,
+    describeSettings: describeSettings,
+    getStoreVersions: getStoreVersions,
+    selectUpdate: selectUpdate,
+    updatePortBindings: updatePortBindings,
+    portBindingsFromOptions: portBindingsFromOptions,
+    applyPlan: applyPlan
 };
 
-var NO_APP_FOUND_ERROR_STRING = '\nCannot find a matching app.\n' + 'Apps installed from the store are not picked automatically.\n'.gray;
+var NO_APP_FOUND_ERROR_STRING = '\nCannot find a matching app.\n' + 'Apps installed from the store are not picked automatically. Choose one with --app <id|location|domain|title>.\n'.gray;
 
 function showDeveloperModeNotice() {
     console.error('CLI mode is disabled. Enable it at %s.'.red, 'https://' + config.apiEndpoint() + '/#/settings');
@@ -76,6 +99,8 @@ function selectAvailableApp(appId, callback) {
         if (availableApps.length === 0) return callback(new Error('No apps installed.'));
         if (availableApps.length === 1) return callback(null, availableApps[0]);
 
+        if (!helper.isInteractive()) return callback(new Error(util.format('Multiple apps of type %s installed. Choose one with --app.', appId)));
+
         console.log();
         console.log('Available apps of type %s:', appId);
         availableApps.forEach(function (app, index) {
@@ -84,7 +109,7 @@ function selectAvailableApp(appId, callback) {
 
         var index = -1;
         while (true) {
-            index = parseInt(readlineSync.question('Choose app [0-' + (availableApps.length-1) + ']: ', {}), 10);
+            index = parseInt(helper.question('Choose app [0-' + (availableApps.length-1) + ']: ', '--app'), 10);
             if (isNaN(index) || index < 0 || index > availableApps.length-1) console.log('Invalid selection'.red);
             else break;
         }
@@ -112,16 +137,18 @@ function getApp(appId, callback) {
 
             callback(null, result, manifestFilePath);
         });
-    } else {
+    } else { // the app is selected by id, location, domain or title
         helper.superagentEnd(function () {
-            return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() });
+            return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
         }, function (error, result) {
             if (error && !error.response) return callback(error);
             if (result.statusCode === 503) exit('The Cloudron is currently updating, please retry in a bit.');
-            if (result.statusCode === 404) return callback(util.format('App %s not found.', appId.bold));
             if (result.statusCode !== 200) return callback(util.format('Failed to get app.'.red, result.statusCode, result.text));
 
-            callback(null, result.body, manifestFilePath);
+            var match = helper.matchApp(result.body.apps, appId);
+            if (match.error) return callback(match.error);
+
+            callback(null, match.app, manifestFilePath);
         });
     }
 }
@@ -138,10 +165,13 @@ function getAppNew(callback) {
 }
 
 function authenticate(options, callback) {
-    console.log();
-    console.log('Enter credentials for ' + config.cloudron().bold + ':');
-    var username = options.username || readlineSync.question('Username: ', {});
-    var password = options.password || readlineSync.question('Password: ', { noEchoBack: true });
+    if (helper.isInteractive()) {
+        console.log();
+        console.log('Enter credentials for ' + config.cloudron().bold + ':');
+    }
+
+    var username = options.username || process.env.CLOUDRON_USERNAME || helper.question('Username: ', '--username or CLOUDRON_USERNAME');
+    var password = options.password || process.env.CLOUDRON_PASSWORD || helper.question('Password: ', '--password or CLOUDRON_PASSWORD', { noEchoBack: true });
 
     config.unset('token');
 
@@ -151,10 +181,12 @@ function authenticate(options, callback) {
     }).end(function (error, result) {
         if (error && !error.response) exit(error);
         if (result.statusCode === 412) {
+            if (!helper.isInteractive()) exit('CLI mode is disabled. Enable it at %s.', 'https://' + config.apiEndpoint() + '/#/settings');
             showDeveloperModeNotice();
             return authenticate({}, callback);
         }
         if (result.statusCode !== 200) {
+            if (!helper.isInteractive()) exit('Login failed.');
             console.log('Login failed.'.red);
             return authenticate({}, callback);
         }
@@ -167,62 +199,48 @@ function authenticate(options, callback) {
     });
 }
 
-function stopApp(app, callback) {
+// posts the stop or start action and waits until the app has the runState. progress dots are only shown for single apps
+function setRunState(app, action, showProgress, callback) {
     assert(typeof app === 'object');
+    assert(action === 'stop' || action === 'start');
+    assert(typeof showProgress === 'boolean');
     assert(typeof callback === 'function');
 
+    var runState = action === 'stop' ? 'stopped' : 'running';
+
     helper.superagentEnd(function () {
         return superagent
-        .post(helper.createUrl('/api/v1/apps/' + app.id + '/stop'))
+        .post(helper.createUrl('/api/v1/apps/' + app.id + '/' + action))
         .query({ access_token: config.token() })
         .send({});
     }, function (error, result) {
-        if (error && !error.response) exit(error);
-        if (result.statusCode !== 202) return exit(util.format('Failed to stop app.'.red, result.statusCode, result.text));
+        if (error && !error.response) return callback(error);
+        if (result.statusCode !== 202) return callback(new Error(util.format('Failed to %s app. %s - %s', action, result.statusCode, result.text)));
 
         function waitForFinish(appId) {
             helper.superagentEnd(function () { return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() }); }, function (error, result) {
-                if (error && !error.response) exit(error);
-                if (result.body.runState === 'stopped') return callback(null);
+                if (error && !error.response) return callback(error);
+                if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get app. %s - %s', result.statusCode, result.text)));
+                if (result.body.runState === runState) return callback(null);
+                if (result.body.installationState === 'error') return callback(new Error(result.body.installationProgress || 'App is in error state'));
 
-                process.stdout.write('.');
+                if (showProgress) process.stdout.write('.');
 
                 setTimeout(waitForFinish.bind(null, appId), 1000);
             });
         }
 
-        process.stdout.write('\n => ' + 'Waiting for app to be stopped '.cyan);
+        if (showProgress) process.stdout.write('\n => ' + util.format('Waiting for app to be %s ', runState).cyan);
         waitForFinish(app.id);
     });
 }
 
-function startApp(app, callback) {
-    assert(typeof app === 'object');
-    assert(typeof callback === 'function');
-
-    helper.superagentEnd(function () {
-        return superagent
-        .post(helper.createUrl('/api/v1/apps/' + app.id + '/start'))
-        .query({ access_token: config.token() })
-        .send({});
-    }, function (error, result) {
-        if (error && !error.response) exit(error);
-        if (result.statusCode !== 202) return exit(util.format('Failed to start app.'.red, result.statusCode, result.text));
-
-        function waitForFinish(appId) {
-            helper.superagentEnd(function () { return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() }); }, function (error, result) {
-                if (error && !error.response) exit(error);
-                if (result.body.runState === 'running') return callback(null);
-
-                process.stdout.write('.');
-
-                setTimeout(waitForFinish.bind(null, appId), 1000);
-            });
-        }
+function stopApp(app, callback) {
+    setRunState(app, 'stop', true, callback);
+}
 
-        process.stdout.write('\n => ' + 'Waiting for app to be started '.cyan);
-        waitForFinish(app.id);
-    });
+function startApp(app, callback) {
+    setRunState(app, 'start', true, callback);
 }
 
 function detectCloudronApiEndpoint(cloudron, callback) {
@@ -243,56 +261,92 @@ function detectCloudronApiEndpoint(cloudron, callback) {
 }
 
 function login(cloudron, options) {
-    cloudron = cloudron || readlineSync.question('Cloudron Hostname: ', {});
+    // an explicitly selected profile can be logged into again without the hostname
+    cloudron = cloudron || config.cloudron() || helper.question('Cloudron Hostname: ', '<cloudron> argument');
 
     detectCloudronApiEndpoint(cloudron, function (error, result) {
         if (error) exit(error);
 
+        // --cloudron or CLOUDRON_PROFILE name the profile, otherwise reuse the profile of this cloudron
+        var profile = process.env.CLOUDRON_PROFILE || config.findProfile(result.cloudron) || result.cloudron;
+
+        config.useProfile(profile);
         config.set('cloudron', result.cloudron);
         config.set('apiEndpoint', result.apiEndpoint);
 
+        var token = options.token || process.env.CLOUDRON_TOKEN;
+        if (token) return loginWithToken(token);
+
         authenticate(options);
     });
 }
 
+// api tokens skip the username and password flow, which makes them usable in CI
+function loginWithToken(token) {
+    assert.strictEqual(typeof token, 'string');
+
+    superagent.get(helper.createUrl('/api/v1/profile')).query({ access_token: token }).end(function (error, result) {
+        if (error && !error.response) exit(error);
+        if (result.statusCode === 401) exit('Login failed. The token is invalid or expired.');
+        if (result.statusCode !== 200) exit(util.format('Failed to verify token.'.red, result.statusCode, result.text));
+
+        config.set('token', token);
+
+        console.log('Login successful.'.green);
+        if (process.env.CLOUDRON_TOKEN) console.log('The token of CLOUDRON_TOKEN is not stored. Set it for every command.');
+        exit();
+    });
+}
+
 function logout() {
-    config.clear();
-    console.log('Logged out.');
+    if (!config.activeProfile()) return exit('Not logged in.');
+
+    config.unset('token');
+    console.log('Logged out of profile %s.', config.activeProfile().bold);
 }
 
 function open() {
     getApp(null, function (error, app) {
         if (error || !app) exit(NO_APP_FOUND_ERROR_STRING);
 
-        var domain = app.location === '' ? config.cloudron() : (app.location + (config.apiEndpoint().indexOf('my-') === 0 ? '-' : '.') + config.cloudron());
-        opn('https://' + domain);
+        opn('https://' + helper.appDomain(app));
     });
 }
 
-function list() {
+function list(options) {
+    helper.verifyArguments(arguments);
+
     helper.superagentEnd(function () {
         return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
     }, function (error, result) {
         if (error && !error.response) exit(error);
         if (result.statusCode !== 200) return exit(util.format('Failed to list apps. %s - %s'.red, result.statusCode, result.text));
 
-        if (result.body.apps.length === 0) return exit('No apps installed.');
-
-        var t = new Table();
-
-        result.body.apps.forEach(function (app) {
-            t.cell('Id', app.id);
-            t.cell('Title', app.manifest.title);
-            t.cell('Location', app.location);
-            t.cell('Version', app.manifest.version);
-            t.cell('Manifest Id', app.appStoreId ? app.manifest.id : app.manifest.id + ' (local)');
-            t.cell('Install state', app.installationState);
-            t.cell('Run state', app.runState);
-            t.newRow();
+        if (result.body.apps.length === 0 && output.isTable(options)) return exit('No apps installed.');
+
+        var apps = result.body.apps.map(function (app) {
+            return {
+                id: app.id,
+                title: app.manifest.title || null,
+                location: app.location,
+                version: app.manifest.version,
+                manifestId: app.manifest.id,
+                appStoreId: app.appStoreId || null,
+                installationState: app.installationState,
+                runState: app.runState
+            };
         });
 
-        console.log();
-        console.log(t.toString());
+        output.print(apps, [
+            { key: 'id', title: 'Id' },
+            { key: 'title', title: 'Title' },
+            { key: 'location', title: 'Location' },
+            { key: 'version', title: 'Version' },
+            { key: 'manifestId', title: 'Manifest Id' },
+            { key: 'appStoreId', title: 'App Store Id', hidden: true },
+            { key: 'installationState', title: 'Install state' },
+            { key: 'runState', title: 'Run state' }
+        ], options);
     });
 }
 
@@ -308,16 +362,28 @@ function getUsersAndGroups(callback) {
     });
 }
 
-function waitForHealthy(appId, callback) {
+// deadline is an optional timestamp after which waiting fails
+function waitForHealthy(appId, deadline, callback) {
+    if (typeof deadline === 'function') {
+        callback = deadline;
+        deadline = null;
+    }
+
     process.stdout.write('\n => ' + 'Wait for health check'.cyan);
 
+    var lastApp = null;
+
     function checkStatus() {
+        if (deadline && Date.now() > deadline) return callback(new Error(util.format('The app did not become healthy in time. Its installation state is %s and its health %s', lastApp.installationState, lastApp.health || 'unknown')));
+
         helper.superagentEnd(function () {
             return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() });
         }, function (error, result) {
             if (error && !error.response) return callback(error);
             if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get app.'.red, result.statusCode, result.text)));
 
+            lastApp = result.body;
+
             // do not check installation state here. it can be pending_backup etc (this is a bug in box code)
             if (result.body.health === 'healthy') return callback();
 
@@ -330,19 +396,28 @@ function waitForHealthy(appId, callback) {
     setTimeout(checkStatus, 1000);
 }
 
-function waitForFinishInstallation(appId, waitForHealthcheck, callback) {
-    var currentProgress = '';
+function waitForFinishInstallation(appId, waitForHealthcheck, deadline, callback) {
+    if (typeof deadline === 'function') {
+        callback = deadline;
+        deadline = null;
+    }
+
+    var currentProgress = '', lastApp = null;
 
     function checkStatus() {
+        if (deadline && lastApp && Date.now() > deadline) return callback(new Error(util.format('The app did not finish installing in time. Its installation state is %s', lastApp.installationState)));
+
         helper.superagentEnd(function () {
             return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() });
         }, function (error, result) {
             if (error && !error.response) return callback(error);
             if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get app.'.red, result.statusCode, result.text)));
 
+            lastApp = result.body;
+
             // track healthy state after installation
             if (result.body.installationState === 'installed') {
-                if (waitForHealthcheck) return waitForHealthy(appId, callback);
+                if (waitForHealthcheck) return waitForHealthy(appId, deadline, callback);
 
                 return callback();
             }
@@ -372,6 +447,17 @@ function waitForFinishInstallation(appId, waitForHealthcheck, callback) {
     checkStatus();
 }
 
+function waitForUninstall(appId, callback) {
+    helper.superagentEnd(function () { return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() }); }, function (error, result) {
+        if (error && !error.response) return callback(error);
+        if (result.statusCode === 404) return callback();
+
+        process.stdout.write('.');
+
+        setTimeout(waitForUninstall.bind(null, appId, callback), 1000);
+    });
+}
+
 function waitForBackupCompletion(callback) {
     assert.strictEqual(typeof callback, 'function');
 
@@ -399,10 +485,17 @@ function waitForBackupCompletion(callback) {
     checkStatus();
 }
 
+// in non-interactive mode, the current or default ports are used. ports disabled in the app stay disabled
 function queryPortBindings(app, manifest) {
     var portBindings = { };
     for (var env in (manifest.tcpPorts || {})) {
         var defaultPort = (app && app.portBindings && app.portBindings[env]) ? app.portBindings[env] : (manifest.tcpPorts[env].defaultValue || '');
+        var disabled = app && app.manifest && app.manifest.tcpPorts && (env in app.manifest.tcpPorts) && !(app.portBindings && app.portBindings[env]);
+        if (!helper.isInteractive()) {
+            if (defaultPort !== '' && !disabled) portBindings[env] = defaultPort;
+            continue;
+        }
+
         var port = readlineSync.question(manifest.tcpPorts[env].description + ' (default ' + env + '=' + defaultPort + '. "x" to disable): ', {});
         if (port === '') {
             portBindings[env] = defaultPort;
@@ -415,6 +508,76 @@ function queryPortBindings(app, manifest) {
     return portBindings;
 }
 
+// the manifest defaults of all ports
+function defaultPortBindings(manifest) {
+    var portBindings = { };
+    for (var env in (manifest.tcpPorts || {})) {
+        portBindings[env] = manifest.tcpPorts[env].defaultValue;
+    }
+    return portBindings;
+}
+
+// the bindings the --port options of install and clone start from. installed apps keep their bindings, including
+// disabled ports
+function portBindingsFromOptions(app, manifest, ports) {
+    assert.strictEqual(typeof manifest, 'object');
+    assert(Array.isArray(ports));
+
+    var portBindings = app ? updatePortBindings(app, manifest).portBindings : defaultPortBindings(manifest);
+
+    return applyPortOptions(portBindings, ports, manifest);
+}
+
+// applies the --port ENV=port options. --no-port ENV is passed in as 'ENV=' and disables the port
+function applyPortOptions(portBindings, ports, manifest) {
+    assert.strictEqual(typeof portBindings, 'object');
+    assert(Array.isArray(ports));
+    assert.strictEqual(typeof manifest, 'object');
+
+    var tcpPorts = manifest.tcpPorts || {};
+
+    ports.forEach(function (option) {
+        var env = option.split('=')[0], value = option.slice(env.length + 1);
+
+        if (option.indexOf('=') === -1) exit('Invalid --port %s. Use --port ENV=port or --no-port ENV', option);
+        if (!tcpPorts[env]) exit('Unknown port %s. Available ports: %s', env, Object.keys(tcpPorts).join(', ') || 'none');
+
+        if (value === '') return delete portBindings[env];
+
+        var port = parseInt(value, 10);
+        if (String(port) !== value || port < 1 || port > 65535) exit('Invalid port %s for %s', value, env);
+
+        portBindings[env] = port;
+    });
+
+    return portBindings;
+}
+
+// returns null if neither --access-users nor --access-groups is set. users can be specified by username or id
+function accessRestrictionFromOptions(options, users) {
+    assert.strictEqual(typeof options, 'object');
+    assert(Array.isArray(users));
+
+    if (!options.accessUsers && !options.accessGroups) return null;
+
+    function split(list) {
+        return (list || '').split(',').map(function (i) { return i.trim(); }).filter(function (i) { return i; });
+    }
+
+    return {
+        users: userIds(split(options.accessUsers), users),
+        groups: split(options.accessGroups)
+    };
+}
+
+function userIds(usernames, users) {
+    return usernames.map(function (username) {
+        var user = users.filter(function (u) { return u.id === username || u.username === username; })[0];
+        if (!user) exit('No such user %s', username);
+        return user.id;
+    });
+}
+
 // if app is falsy, we install a new app
 // if configure is truthy we will prompt for all settings
 function installer(app, options) {
@@ -427,7 +590,10 @@ function installer(app, options) {
         waitForHealthcheck = options.wait,
         installLocation = options.location,
         force = options.force,
-        manifestFilePath = options.manifestFilePath;
+        manifestFilePath = options.manifestFilePath,
+        ports = options.ports || [],
+        rollbackOnFailure = !!options.rollbackOnFailure,
+        rollbackTimeout = options.rollbackTimeout || 0;
 
     assert.strictEqual(typeof configure, 'boolean');
     assert(manifest && typeof manifest === 'object');
@@ -436,22 +602,32 @@ function installer(app, options) {
     assert(!installLocation || typeof installLocation === 'string');
     assert.strictEqual(typeof force, 'boolean');
     assert(!manifestFilePath || typeof manifestFilePath === 'string');
+    assert(Array.isArray(ports));
+    assert.strictEqual(typeof rollbackTimeout, 'number');
+    assert(!rollbackOnFailure || rollbackTimeout > 0);
+
+    if (rollbackOnFailure && !app) exit('--rollback-on-failure needs an installed app to roll back to');
+    if (configure && !helper.isInteractive()) exit('--configure prompts for all settings and cannot be used in non-interactive mode');
 
     getUsersAndGroups(function (error, result) {
         if (error) exit(error);
 
         var location = typeof installLocation === 'string' ? installLocation : (app ? app.location : null);
-        var accessRestriction = app ? app.accessRestriction : null;
-        var oauthProxy = app ? app.oauthProxy : false;
+        var accessRestriction = accessRestrictionFromOptions(options, result.users) || (app ? app.accessRestriction : null);
+        var oauthProxy = options.oauthProxy || (app ? app.oauthProxy : false);
         var portBindings = app ? app.portBindings : {};
 
+        if (manifest.singleUser && accessRestriction && (accessRestriction.users.length !== 1 || accessRestriction.groups.length)) {
+            exit('This app can only be used by a single user. Use --access-users with exactly one user.');
+        }
+
         // location
         if (location === null) {
-            location = readlineSync.question('Location: ', {});
+            location = helper.question('Location: ', '--location');
         }
 
         // oauth proxy
-        if (configure) {
+        if (configure && !options.oauthProxy) {
             var tmp = readlineSync.question(util.format('Use OAuth Proxy? [y/N]: '), {});
             oauthProxy = tmp.toUpperCase() === 'Y';
         }
@@ -462,14 +638,13 @@ function installer(app, options) {
         }
 
         // port bindings
-        if (configure || (app && !_.isEqual(Object.keys(app.portBindings || { }).sort(), Object.keys(manifest.tcpPorts || { }).sort()))) {
+        if (ports.length !== 0) {
+            portBindings = portBindingsFromOptions(app, manifest, ports);
+        } else if (configure || (app && !_.isEqual(Object.keys(app.portBindings || { }).sort(), Object.keys(manifest.tcpPorts || { }).sort()))) {
             // ask the user for port values if the ports are different in the app and the manifest
             portBindings = queryPortBindings(app, manifest);
         } else if (!app) {
-            portBindings = {};
-            for (var env in (manifest.tcpPorts || {})) {
-                portBindings[env] = manifest.tcpPorts[env].defaultValue;
-            }
+            portBindings = defaultPortBindings(manifest);
         }
 
         for (var binding in portBindings) {
@@ -502,7 +677,7 @@ function installer(app, options) {
             if (!appStoreId && iconFilename && fs.existsSync(iconFilename)) {
                 data.icon = fs.readFileSync(iconFilename).toString('base64');
             }
-        } else if (configure || (location !== app.location)) { // cloudron install --location <newloc>
+        } else if (configure || (location !== app.location) || !_.isEqual(accessRestriction, app.accessRestriction) || oauthProxy !== app.oauthProxy) { // cloudron install --location <newloc>
             url = helper.createUrl('/api/v1/apps/' + app.id + '/configure');
             message = 'configured';
         } else {
@@ -514,53 +689,138 @@ function installer(app, options) {
             if (!app.appStoreId) data.force = true; // this allows installation over errored apps (for cli apps)
         }
 
-        helper.superagentEnd(function () {
-            var req = superagent.post(url).query({ access_token: config.token() });
-            return req.send(data);
-        }, function (error, result) {
-            if (error && !error.response) exit(error);
-            if (result.statusCode === 404) exit(util.format('Failed to install app. No such app in the appstore.'.red));
-            if (result.statusCode === 409) exit(util.format('Failed to install app. The location %s is already used.'.red, location.bold));
-            if (result.statusCode === 403) exit(util.format('Failed to install app. Admin privileges are required.'.red));
-            if (result.statusCode !== 202) exit(util.format('Failed to install app. %s (%s)'.red, result.body.message, result.statusCode));
+        backupForRollback(rollbackOnFailure ? app : null, function (error, backupId) {
+            if (error) exit('\n\nApp backup error: %s'.red, error.message);
+
+            helper.superagentEnd(function () {
+                var req = superagent.post(url).query({ access_token: config.token() });
+                return req.send(data);
+            }, function (error, result) {
+                if (error && !error.response) exit(error);
+                if (result.statusCode === 404) exit(util.format('Failed to install app. No such app in the appstore.'.red));
+                if (result.statusCode === 409) exit(util.format('Failed to install app. The location %s is already used.'.red, location.bold));
+                if (result.statusCode === 403) exit(util.format('Failed to install app. Admin privileges are required.'.red));
+                if (result.statusCode !== 202) exit(util.format('Failed to install app. %s (%s)'.red, result.body.message, result.statusCode));
+
+                var appId = app ? app.id : result.body.id;
 
-            var appId = app ? app.id : result.body.id;
+                console.log('App is being %s with id:', message.bold, appId.bold);
 
-            console.log('App is being %s with id:', message.bold, appId.bold);
+                // with rollback, the app has to become healthy within the timeout once the update task finished. a restore
+                // would fail while the task is still running
+                function waitForApp(callback) {
+                    if (!rollbackOnFailure) return waitForFinishInstallation(appId, waitForHealthcheck, callback);
 
-            waitForFinishInstallation(appId, waitForHealthcheck, function (error) {
-                if (error && error.message.indexOf('Container command could not be invoked.') > 0) {
-                    console.log('\n\nApp installation error: %s'.red, error.message);
-                    exit('Is your CMD from the Dockerfile executable?');
+                    waitForFinishInstallation(appId, false, function (error) {
+                        if (error) return callback(error);
+
+                        waitForHealthy(appId, Date.now() + rollbackTimeout * 1000, callback);
+                    });
                 }
-                if (error) exit('\n\nApp installation error: %s'.red, error.message);
 
-                console.log('\n\nApp is %s.'.green, message);
-                exit();
+                waitForApp(function (error) {
+                    if (error && rollbackOnFailure) return rollback(app, backupId, message, error, rollbackTimeout);
+                    if (error && error.message.indexOf('Container command could not be invoked.') > 0) {
+                        console.log('\n\nApp installation error: %s'.red, error.message);
+                        exit('Is your CMD from the Dockerfile executable?');
+                    }
+                    if (error) exit('\n\nApp installation error: %s'.red, error.message);
+
+                    console.log('\n\nApp is %s.'.green, message);
+                    if (backupId) console.log('The backup %s from before is kept.', backupId);
+                    exit();
+                });
             });
         });
     });
 }
 
+// creates an app backup to roll back to and returns its id. without an app, no backup is made
+function backupForRollback(app, callback) {
+    if (!app) return callback(null, null);
+
+    console.log('Creating a backup of the app to roll back to');
+
+    helper.superagentEnd(function () {
+        return superagent.post(helper.createUrl('/api/v1/apps/' + app.id + '/backup')).query({ access_token: config.token() }).send({});
+    }, function (error, result) {
+        if (error && !error.response) return callback(error);
+        if (result.statusCode !== 202) return callback(new Error(util.format('Failed to backup app. %s (%s)', result.body.message, result.statusCode)));
+
+        waitForFinishInstallation(app.id, false, function (error) {
+            if (error) return callback(error);
+
+            helper.superagentEnd(function () {
+                return superagent.get(helper.createUrl('/api/v1/apps/' + app.id)).query({ access_token: config.token() });
+            }, function (error, result) {
+                if (error && !error.response) return callback(error);
+                if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get app. %s (%s)', result.body.message, result.statusCode)));
+                if (!result.body.lastBackupId || result.body.lastBackupId === app.lastBackupId) return callback(new Error('The app has no new backup'));
+
+                console.log('\nCreated backup %s', result.body.lastBackupId.bold);
+
+                callback(null, result.body.lastBackupId);
+            });
+        });
+    });
+}
+
+// restores the backup of backupForRollback after the app failed to install or become healthy. the restore has the same
+// timeout as the update. always exits with an error
+function rollback(app, backupId, message, reason, timeout) {
+    console.log('\n\nApp was not %s: %s'.red, message, reason.message);
+    console.log('Rolling back to backup %s of version %s', backupId.bold, app.manifest.version.bold);
+
+    helper.superagentEnd(function () {
+        return superagent.post(helper.createUrl('/api/v1/apps/' + app.id + '/restore')).query({ access_token: config.token() }).send({ backupId: backupId });
+    }, function (error, result) {
+        if (error && !error.response) exit('Failed to roll back: %s. Restore the app with cloudron restore --app %s --backup %s', error.message, app.id, backupId);
+        if (result.statusCode === 409) exit('Failed to roll back: the app is busy with another task. Restore the app once it finished with cloudron restore --app %s --backup %s', app.id, backupId);
+        if (result.statusCode !== 202) exit('Failed to roll back: %s (%s). Restore the app with cloudron restore --app %s --backup %s', result.body.message, result.statusCode, app.id, backupId);
+
+        waitForFinishInstallation(app.id, true, Date.now() + timeout * 1000, function (error) {
+            if (error) exit('\n\nFailed to roll back: %s. The app was restored from backup %s but is not healthy.', error.message, backupId);
+
+            exit('\n\nThe app was not %s and was rolled back to backup %s of version %s.', message, backupId, app.manifest.version);
+        });
+    });
+}
+
+// appstoreId is of the form id[@version]. without a version, the latest published version is returned
+function getStoreManifest(appstoreId, callback) {
+    assert.strictEqual(typeof appstoreId, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var parts = appstoreId.split('@');
+
+    var url = config.appStoreOrigin() + '/api/v1/apps/' + parts[0] + (parts[1] ? '/versions/' + parts[1] : '');
+    superagent.get(url).end(function (error, result) {
+        if (error && !error.response) return callback(new Error(util.format('Failed to get app info from store: %s', error.message)));
+        if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get app info of %s from store.'.red, appstoreId, result.statusCode, result.text)));
+
+        callback(null, result.body.manifest);
+    });
+}
+
 function installFromStore(options) {
     var appstoreId = options.appstoreId;
-    var parts = appstoreId.split('@');
-    // if (parts.length !== 2) console.log('No version specified, using latest published version.');
 
     // NOTE: we download the manifest so we can 'configure' the app (like port bindings).
     // the cloudron ignores the manifest when appStoreId is set
-    var url = config.appStoreOrigin() + '/api/v1/apps/' + parts[0] + (parts[1] ? '/versions/' + parts[1] : '');
-    superagent.get(url).end(function (error, result) {
-        if (error && !error.response) return exit(util.format('Failed to get app info from store: %s', error.message));
-        if (result.statusCode !== 200) return exit(util.format('Failed to get app info from store.'.red, result.statusCode, result.text));
+    getStoreManifest(appstoreId, function (error, manifest) {
+        if (error) return exit(error);
 
         var installOptions = {
             configure: !!options.configure,
-            manifest: result.body.manifest,
+            manifest: manifest,
             appStoreId: appstoreId, // note case change!
             wait: !!options.wait,
             location: options.location,
-            force: false
+            force: false,
+            ports: options.port,
+            accessUsers: options.accessUsers,
+            accessGroups: options.accessGroups,
+            oauthProxy: !!options.oauthProxy
         };
         installer(null, installOptions);
     });
@@ -569,8 +829,12 @@ function installFromStore(options) {
 function install(options) {
     helper.verifyArguments(arguments);
 
+    if (options.rollbackOnFailure && (options.new || options.appstoreId)) exit('--rollback-on-failure only works when updating an installed app');
     if (options.appstoreId) return installFromStore(options);
 
+    var rollbackTimeout = options.rollbackTimeout ? parseInt(options.rollbackTimeout, 10) : 600;
+    if (isNaN(rollbackTimeout) || rollbackTimeout <= 0) exit('Invalid --rollback-timeout %s. Use a number of seconds', options.rollbackTimeout);
+
     var func = options.new ? getAppNew : getApp.bind(null, options.app);
 
     func(function (error, app, manifestFilePath) {
@@ -586,8 +850,10 @@ function install(options) {
         if (manifest.developmentMode && (!app || !app.manifest.developmentMode)) { // developmentMode changed
             console.log('Installing in development mode gives your app unlimited CPU and Memory.'.yellow);
             console.log('This might affect your other apps on this Cloudron.'.yellow);
-            var reallyInstall = readlineSync.question(util.format('Install anyway? [y/N]: '), {});
-            if (reallyInstall.toUpperCase() !== 'Y') return exit();
+            if (!options.yes) {
+                var reallyInstall = helper.question(util.format('Install anyway? [y/N]: '), '--yes');
+                if (reallyInstall.toUpperCase() !== 'Y') return exit();
+            }
         }
 
         helper.selectImage(manifest, !options.select, function (error, image) {
@@ -604,13 +870,277 @@ function install(options) {
                 appStoreId: null,
                 wait: !!options.wait,
                 location: options.location,
-                force: !!options.force
+                force: !!options.force,
+                ports: options.port,
+                accessUsers: options.accessUsers,
+                accessGroups: options.accessGroups,
+                oauthProxy: !!options.oauthProxy,
+                rollbackOnFailure: !!options.rollbackOnFailure,
+                rollbackTimeout: rollbackTimeout
             };
             installer(app, installOptions);
         });
     });
 }
 
+// --memory-limit takes a size like 512M or 1G. 0 resets the limit to the default of the app. returns null if invalid
+function parseMemoryLimit(value) {
+    var match = String(value).match(/^(\d+)([MG])?$/i);
+    if (!match || (!match[2] && match[1] !== '0')) return null;
+
+    return parseInt(match[1], 10) * (match[2] && match[2].toUpperCase() === 'G' ? 1024 * 1024 * 1024 : 1024 * 1024);
+}
+
+// the settings of configure in a readable form, for showing what changes
+function describeSettings(settings, users) {
+    function usernames(ids) {
+        return ids.map(function (id) {
+            var user = users.filter(function (u) { return u.id === id; })[0];
+            return user ? user.username : id;
+        });
+    }
+
+    var access = 'everyone';
+    if (settings.accessRestriction) {
+        access = [ 'users: ' + (usernames(settings.accessRestriction.users || []).sort().join(',') || '-'), 'groups: ' + ((settings.accessRestriction.groups || []).slice().sort().join(',') || '-') ].join(' ');
+    }
+
+    return {
+        location: settings.location || '<bare domain>',
+        ports: Object.keys(settings.portBindings || {}).sort().map(function (env) { return env + '=' + settings.portBindings[env]; }).join(', ') || 'none',
+        access: access,
+        'oauth proxy': settings.oauthProxy ? 'yes' : 'no',
+        'memory limit': settings.memoryLimit ? Math.round(settings.memoryLimit / 1024 / 1024) + 'M' : 'default',
+        'alternate domain': settings.altDomain || 'none'
+    };
+}
+
+// only changes the settings of an app. unlike install -c, this never updates the app
+function configure(options) {
+    helper.verifyArguments(arguments);
+
+    getApp(options.app, function (error, app) {
+        if (error) exit(error);
+        if (!app) exit(NO_APP_FOUND_ERROR_STRING);
+
+        if (options.accessAll && (options.accessUsers || options.accessGroups)) exit('Use either --access-all or --access-users/--access-groups');
+        if (options.oauthProxy && options.disableOauthProxy) exit('Use either --oauth-proxy or --disable-oauth-proxy');
+
+        getUsersAndGroups(function (error, result) {
+            if (error) exit(error);
+
+            var ports = options.port || [];
+            var current = {
+                location: app.location,
+                portBindings: app.portBindings || {},
+                accessRestriction: app.accessRestriction || null,
+                oauthProxy: !!app.oauthProxy,
+                memoryLimit: app.memoryLimit || 0,
+                altDomain: app.altDomain || null
+            };
+
+            var settings = _.extend({}, current);
+            if (typeof options.location === 'string') settings.location = options.location;
+            if (ports.length) settings.portBindings = applyPortOptions(_.extend({}, current.portBindings), ports, app.manifest);
+            if (options.accessAll) settings.accessRestriction = null;
+            else settings.accessRestriction = accessRestrictionFromOptions(options, result.users) || current.accessRestriction;
+            if (options.oauthProxy) settings.oauthProxy = true;
+            if (options.disableOauthProxy) settings.oauthProxy = false;
+            if (typeof options.memoryLimit !== 'undefined') {
+                settings.memoryLimit = parseMemoryLimit(options.memoryLimit);
+                if (settings.memoryLimit === null) exit('Invalid memory limit %s. Use a size like 512M or 1G, or 0 for the default', options.memoryLimit);
+            }
+            if (typeof options.altDomain === 'string') settings.altDomain = options.altDomain || null;
+
+            if (app.manifest.singleUser && (!settings.accessRestriction || (settings.accessRestriction.users || []).length !== 1 || (settings.accessRestriction.groups || []).length)) {
+                exit('This app can only be used by a single user. Use --access-users with exactly one user.');
+            }
+
+            var before = describeSettings(current, result.users), after = describeSettings(settings, result.users);
+            var changed = Object.keys(after).filter(function (key) { return before[key] !== after[key]; });
+
+            if (changed.length === 0) {
+                console.log('App at %s is already configured like this.'.green, before.location);
+                return exit();
+            }
+
+            console.log();
+            console.log('Changes to the app at %s:', before.location.bold);
+            changed.forEach(function (key) {
+                console.log('  %s: %s -> %s', key, before[key].red, after[key].green);
+            });
+            console.log();
+
+            if (!options.yes) {
+                var answer = helper.question('Apply these changes? [y/N]: ', '--yes');
+                if (answer.toUpperCase() !== 'Y') return exit();
+            }
+
+            var data = {
+                appId: app.id, // temporary hack for configure route bug
+                location: settings.location,
+                portBindings: settings.portBindings,
+                accessRestriction: settings.accessRestriction,
+                oauthProxy: settings.oauthProxy
+            };
+
+            // older Cloudrons do not know these settings
+            if ('memoryLimit' in app || settings.memoryLimit !== current.memoryLimit) data.memoryLimit = settings.memoryLimit;
+            if ('altDomain' in app || settings.altDomain !== current.altDomain) data.altDomain = settings.altDomain;
+
+            helper.superagentEnd(function () {
+                return superagent.post(helper.createUrl('/api/v1/apps/' + app.id + '/configure')).query({ access_token: config.token() }).send(data);
+            }, function (error, result) {
+                if (error && !error.response) exit(error);
+                if (result.statusCode === 409) exit(util.format('Failed to configure app. The location %s is already used.'.red, settings.location.bold));
+                if (result.statusCode === 403) exit(util.format('Failed to configure app. Admin privileges are required.'.red));
+                if (result.statusCode !== 202) exit(util.format('Failed to configure app. %s (%s)'.red, result.body.message, result.statusCode));
+
+                console.log('App is being %s with id:', 'configured'.bold, app.id.bold);
+
+                waitForFinishInstallation(app.id, !!options.wait, function (error) {
+                    if (error) exit('\n\nApp configuration error: %s'.red, error.message);
+
+                    console.log('\n\nApp is configured.'.green);
+                    exit();
+                });
+            });
+        });
+    });
+}
+
+// returns the published versions of a store app as an array of manifests, oldest first
+function getStoreVersions(appstoreId, callback) {
+    assert.strictEqual(typeof appstoreId, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    superagent.get(config.appStoreOrigin() + '/api/v1/apps/' + appstoreId + '/versions').end(function (error, result) {
+        if (error && !error.response) return callback(new Error(util.format('Failed to get versions from store: %s', error.message)));
+        if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get versions of %s from store.'.red, appstoreId, result.statusCode, result.text)));
+
+        var manifests = result.body.versions.map(function (version) { return version.manifest; }).filter(function (manifest) {
+            return semver.valid(manifest.version);
+        });
+
+        callback(null, manifests.sort(function (a, b) { return semver.compare(a.version, b.version); }));
+    });
+}
+
+// picks the latest or the given version of the manifests of getStoreVersions. returns { target, changelog } with the
+// manifests after the installed version up to the target, newest first, or { error }
+function selectUpdate(manifests, installedVersion, to) {
+    assert(Array.isArray(manifests));
+    assert.strictEqual(typeof installedVersion, 'string');
+    assert(!to || typeof to === 'string');
+
+    var target = to ? manifests.filter(function (m) { return m.version === to; })[0] : manifests[manifests.length - 1];
+    if (!target) return { error: util.format('No version %s in the store. Available versions: %s', to, manifests.map(function (m) { return m.version; }).join(', ')) };
+
+    var changelog = manifests.filter(function (m) { return semver.gt(m.version, installedVersion) && semver.lte(m.version, target.version); }).reverse();
+
+    return { target: target, changelog: changelog };
+}
+
+// keeps the port bindings of the app as they are, including ports disabled with --no-port. ports that are new in the
+// target get their default value, removed ports are dropped. returns the bindings and the added, removed and changed ports
+function updatePortBindings(app, target) {
+    assert.strictEqual(typeof app, 'object');
+    assert.strictEqual(typeof target, 'object');
+
+    var oldTcpPorts = app.manifest.tcpPorts || {}, newTcpPorts = target.tcpPorts || {};
+    var result = { portBindings: {}, added: [], removed: [], changed: [] };
+
+    Object.keys(newTcpPorts).forEach(function (env) {
+        if (!(env in oldTcpPorts)) {
+            result.added.push(env);
+            result.portBindings[env] = newTcpPorts[env].defaultValue;
+            return;
+        }
+
+        if (!_.isEqual(oldTcpPorts[env], newTcpPorts[env])) result.changed.push(env);
+        if (app.portBindings && app.portBindings[env]) result.portBindings[env] = app.portBindings[env];
+    });
+
+    result.removed = Object.keys(oldTcpPorts).filter(function (env) { return !(env in newTcpPorts); });
+
+    return result;
+}
+
+// updates a store app to the latest or the --to version. the changelogs of all versions in between are shown first
+function update(options) {
+    helper.verifyArguments(arguments);
+
+    getApp(options.app, function (error, app) {
+        if (error) exit(error);
+        if (!app) exit(NO_APP_FOUND_ERROR_STRING);
+
+        var appStoreId = (app.appStoreId || '').split('@')[0];
+        if (!appStoreId) exit('App at %s is not installed from the store. Use cloudron install to update it.', helper.appDomain(app));
+
+        getStoreVersions(appStoreId, function (error, manifests) {
+            if (error) exit(error);
+
+            var installedVersion = app.manifest.version;
+            var selected = selectUpdate(manifests, installedVersion, options.to);
+            if (selected.error) exit('%s: %s', appStoreId, selected.error);
+
+            var target = selected.target;
+            if (target.version === installedVersion) {
+                console.log('App at %s is already at version %s.'.green, helper.appDomain(app), installedVersion);
+                return exit();
+            }
+            if (semver.lt(target.version, installedVersion)) exit('Version %s is older than the installed version %s. Use cloudron restore to go back to an older version.', target.version, installedVersion);
+
+            console.log();
+            console.log('Update %s at %s from %s to %s', (app.manifest.title || appStoreId).bold, helper.appDomain(app), installedVersion.bold, target.version.bold);
+
+            selected.changelog.forEach(function (m) {
+                console.log();
+                console.log(m.version.bold);
+                console.log((m.changelog || 'No changelog').trim().split('\n').map(function (line) { return '  ' + line; }).join('\n'));
+            });
+            console.log();
+
+            var ports = updatePortBindings(app, target);
+            var portBindings = ports.portBindings;
+
+            if (ports.added.length) console.log('New ports: %s'.yellow, ports.added.map(function (env) { return env + '=' + portBindings[env]; }).join(', '));
+            if (ports.removed.length) console.log('Removed ports: %s'.yellow, ports.removed.join(', '));
+            if (ports.changed.length) console.log('Changed ports, check their bindings after the update: %s'.yellow, ports.changed.map(function (env) { return env + '=' + (portBindings[env] || 'disabled'); }).join(', '));
+            if (ports.added.length || ports.removed.length || ports.changed.length) console.log();
+
+            if (!options.yes) {
+                var answer = helper.question('Update the app? [y/N]: ', '--yes');
+                if (answer.toUpperCase() !== 'Y') return exit();
+            }
+
+            var data = {
+                appStoreId: appStoreId + '@' + target.version,
+                manifest: target,
+                portBindings: portBindings,
+                force: false
+            };
+
+            helper.superagentEnd(function () {
+                return superagent.post(helper.createUrl('/api/v1/apps/' + app.id + '/update')).query({ access_token: config.token() }).send(data);
+            }, function (error, result) {
+                if (error && !error.response) exit(error);
+                if (result.statusCode === 403) exit(util.format('Failed to update app. Admin privileges are required.'.red));
+                if (result.statusCode !== 202) exit(util.format('Failed to update app. %s (%s)'.red, result.body.message, result.statusCode));
+
+                console.log('App is being %s with id:', 'updated'.bold, app.id.bold);
+
+                waitForFinishInstallation(app.id, !!options.wait, function (error) {
+                    if (error) exit('\n\nApp update error: %s'.red, error.message);
+
+                    console.log('\n\nApp is updated to %s.'.green, target.version);
+                    exit();
+                });
+            });
+        });
+    });
+}
+
 function uninstall(options) {
     helper.verifyArguments(arguments);
 
@@ -631,22 +1161,229 @@ function uninstall(options) {
             if (error && !error.response) exit(error);
             if (result.statusCode !== 202) return exit(util.format('Failed to uninstall app.'.red, result.statusCode, result.text));
 
-            function waitForFinish(appId) {
-                helper.superagentEnd(function () { return superagent.get(helper.createUrl('/api/v1/apps/' + appId)).query({ access_token: config.token() }); }, function (error, result) {
-                    if (error && !error.response) exit(error);
-                    if (result.statusCode === 404) {
-                        console.log('\n\nApp %s successfully uninstalled.', appId.bold);
-                        exit();
-                    }
+            process.stdout.write('\n => ' + 'Waiting for app to be uninstalled '.cyan);
+            waitForUninstall(app.id, function (error) {
+                if (error) exit(error);
 
-                    process.stdout.write('.');
+                console.log('\n\nApp %s successfully uninstalled.', app.id.bold);
+                exit();
+            });
+        });
+    });
+}
 
-                    setTimeout(waitForFinish.bind(null, appId), 1000);
+// the apps file has the form { apps: [ { location, appstoreId, version, portBindings, accessRestriction, oauthProxy } ] }
+// apps are matched by location. optional fields that are not set are left untouched
+function readAppsFile(filePath) {
+    var data = safe(function () { return yaml.safeLoad(fs.readFileSync(filePath, 'utf8')); });
+    if (!data) exit('Unable to read %s: %s', filePath, safe.error ? safe.error.message : 'file is empty');
+    if (!Array.isArray(data.apps)) exit('%s must have an apps list', filePath);
+
+    var locations = {};
+
+    data.apps.forEach(function (desired, index) {
+        if (!desired || typeof desired !== 'object') exit('apps[%s] must be an object', index);
+        if (typeof desired.location !== 'string') exit('apps[%s] must have a location', index);
+        if (typeof desired.appstoreId !== 'string') exit('apps[%s] must have an appstoreId', index);
+        if ('version' in desired && typeof desired.version !== 'string') exit('apps[%s].version must be a string', index);
+        if ('portBindings' in desired && (!desired.portBindings || typeof desired.portBindings !== 'object')) exit('apps[%s].portBindings must be an object', index);
+        if ('accessRestriction' in desired && desired.accessRestriction !== null && typeof desired.accessRestriction !== 'object') exit('apps[%s].accessRestriction must be null or an object with users and groups', index);
+        if ('oauthProxy' in desired && typeof desired.oauthProxy !== 'boolean') exit('apps[%s].oauthProxy must be a boolean', index);
+
+        if (locations[desired.location]) exit('Location %s is used more than once', desired.location);
+        locations[desired.location] = true;
+    });
+
+    return data.apps;
+}
+
+// compares the apps file with the installed apps and returns a list of { action, location, appId, data, changes }.
+// store apps which are not in the file are only uninstalled with options.prune. apps that were not installed from the
+// store are never touched
+function applyPlan(desiredApps, installedApps, users, options, callback) {
+    assert(Array.isArray(desiredApps));
+    assert(Array.isArray(installedApps));
+    assert(Array.isArray(users));
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof callback, 'function');
+
+    var plan = [];
+
+    installedApps = installedApps.filter(function (app) { return !!app.appStoreId; });
+
+    function desiredAccessRestriction(desired, app) {
+        if (!('accessRestriction' in desired)) return app ? app.accessRestriction : null;
+        if (desired.accessRestriction === null) return null;
+
+        return {
+            users: userIds(desired.accessRestriction.users || [], users).sort(),
+            groups: (desired.accessRestriction.groups || []).slice().sort()
+        };
+    }
+
+    function normalizedAccessRestriction(accessRestriction) {
+        if (!accessRestriction) return null;
+
+        return { users: (accessRestriction.users || []).slice().sort(), groups: (accessRestriction.groups || []).slice().sort() };
+    }
+
+    function desiredPortBindings(desired, app, manifest) {
+        if (!('portBindings' in desired)) return portBindingsFromOptions(app, manifest, []);
+
+        // the listed ports are exactly the enabled ports
+        var ports = Object.keys(desired.portBindings).map(function (env) {
+            var value = desired.portBindings[env];
+            return env + '=' + (value === null || value === false ? '' : value);
+        });
+
+        return applyPortOptions({}, ports, manifest);
+    }
+
+    // installed apps which are not in the file are uninstalled first, so that their locations are available
+    installedApps.forEach(function (app) {
+        if (!options.prune) return;
+        if (desiredApps.some(function (desired) { return desired.location === app.location && desired.appstoreId === app.manifest.id; })) return;
+
+        plan.push({ action: 'uninstall', location: app.location, appId: app.id, data: {}, changes: [ app.manifest.id + '@' + app.manifest.version ] });
+    });
+
+    async.eachSeries(desiredApps, function (desired, iteratorDone) {
+        var app = installedApps.filter(function (a) { return a.location === desired.location && a.manifest.id === desired.appstoreId; })[0] || null;
+        var appStoreId = desired.appstoreId + (desired.version ? '@' + desired.version : '');
+        var needsUpdate = app && desired.version && desired.version !== app.manifest.version;
+
+        if (app && !needsUpdate) return checkConfigure(app.manifest);
+
+        getStoreManifest(appStoreId, function (error, manifest) {
+            if (error) return iteratorDone(error);
+
+            var data = {
+                appStoreId: appStoreId,
+                manifest: null, // cloudron ignores manifest anyway if appStoreId is set
+                location: desired.location,
+                portBindings: desiredPortBindings(desired, app, manifest),
+                accessRestriction: desiredAccessRestriction(desired, app),
+                oauthProxy: 'oauthProxy' in desired ? desired.oauthProxy : (app ? app.oauthProxy : false),
+                force: false
+            };
+
+            if (!app) {
+                plan.push({ action: 'install', location: desired.location, appId: null, data: data, changes: [ desired.appstoreId + '@' + manifest.version ] });
+                return iteratorDone();
+            }
+
+            data.appId = app.id; // temporary hack for configure route bug
+            plan.push({ action: 'update', location: desired.location, appId: app.id, data: data, changes: [ app.manifest.version + ' -> ' + manifest.version ] });
+
+            // ports are set by the update route. access restriction and oauth proxy require a configure
+            checkConfigure(manifest, data.portBindings);
+        });
+
+        // updatedPortBindings are the ports after an update
+        function checkConfigure(manifest, updatedPortBindings) {
+            var currentPortBindings = updatedPortBindings || app.portBindings || {};
+            var portBindings = updatedPortBindings || ('portBindings' in desired ? desiredPortBindings(desired, app, manifest) : currentPortBindings);
+            var accessRestriction = desiredAccessRestriction(desired, app);
+            var oauthProxy = 'oauthProxy' in desired ? desired.oauthProxy : app.oauthProxy;
+            var changes = [];
+
+            if (!_.isEqual(portBindings, currentPortBindings)) changes.push('ports');
+            if (!_.isEqual(normalizedAccessRestriction(accessRestriction), normalizedAccessRestriction(app.accessRestriction))) changes.push('access');
+            if (oauthProxy !== app.oauthProxy) changes.push('oauth proxy');
+
+            if (changes.length) {
+                plan.push({
+                    action: 'configure',
+                    location: desired.location,
+                    appId: app.id,
+                    data: { appId: app.id, location: app.location, portBindings: portBindings, accessRestriction: accessRestriction, oauthProxy: oauthProxy },
+                    changes: changes
                 });
             }
 
-            process.stdout.write('\n => ' + 'Waiting for app to be uninstalled '.cyan);
-            waitForFinish(app.id);
+            iteratorDone();
+        }
+    }, function (error) {
+        if (error) return callback(error);
+
+        callback(null, plan);
+    });
+}
+
+// runs the steps of applyPlan one after the other through the install, update, configure and uninstall routes
+function runApplyPlan(plan, callback) {
+    assert(Array.isArray(plan));
+    assert.strictEqual(typeof callback, 'function');
+
+    async.eachSeries(plan, function (step, iteratorDone) {
+        var url = step.action === 'install' ? '/api/v1/apps/install' : '/api/v1/apps/' + step.appId + '/' + step.action;
+
+        console.log();
+        console.log('%s %s', step.action.bold, step.location || '<bare domain>');
+
+        helper.superagentEnd(function () {
+            return superagent.post(helper.createUrl(url)).query({ access_token: config.token() }).send(step.data);
+        }, function (error, result) {
+            if (error && !error.response) return iteratorDone(error);
+            if (result.statusCode === 409) return iteratorDone(new Error(util.format('Failed to %s app. The location %s is already used.', step.action, step.location)));
+            if (result.statusCode !== 202) return iteratorDone(new Error(util.format('Failed to %s app. %s (%s)', step.action, result.body.message, result.statusCode)));
+
+            if (step.action === 'uninstall') return waitForUninstall(step.appId, iteratorDone);
+
+            waitForFinishInstallation(step.appId || result.body.id, false, iteratorDone);
+        });
+    }, callback);
+}
+
+function apply(options) {
+    helper.verifyArguments(arguments);
+
+    if (!options.file) helper.missing('file');
+
+    var desiredApps = readAppsFile(options.file);
+
+    helper.superagentEnd(function () {
+        return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
+    }, function (error, result) {
+        if (error && !error.response) exit(error);
+        if (result.statusCode !== 200) exit(util.format('Failed to list apps.'.red, result.statusCode, result.text));
+
+        var installedApps = result.body.apps;
+
+        getUsersAndGroups(function (error, usersAndGroups) {
+            if (error) exit(error);
+
+            applyPlan(desiredApps, installedApps, usersAndGroups.users, { prune: !!options.prune }, function (error, plan) {
+                if (error) exit(error);
+
+                if (plan.length === 0) {
+                    console.log('Cloudron is up to date with %s.'.green, options.file);
+                    return exit();
+                }
+
+                var colors = { install: 'green', update: 'cyan', configure: 'cyan', uninstall: 'red' };
+
+                console.log();
+                console.log('Plan:');
+                plan.forEach(function (step) {
+                    console.log('  %s %s (%s)', step.action[colors[step.action]].bold, step.location || '<bare domain>', step.changes.join(', '));
+                });
+                console.log();
+
+                if (options.dryRun) return exit();
+
+                if (!options.yes) {
+                    var answer = helper.question('Apply these changes? [y/N]: ', '--yes');
+                    if (answer.toUpperCase() !== 'Y') return exit();
+                }
+
+                runApplyPlan(plan, function (error) {
+                    if (error) exit('\n\nFailed to apply %s: %s', options.file, error.message);
+
+                    console.log('\n\nApplied %s.'.green, options.file);
+                    exit();
+                });
+            });
         });
     });
 }
@@ -736,6 +1473,7 @@ function inspect(options) {
         if (result.statusCode !== 200) return exit(util.format('Failed to list apps. %s - %s'.red, result.statusCode, result.text));
 
         console.log(JSON.stringify({
+            profile: config.activeProfile(),
             cloudron: config.cloudron(),
             apiEndpoint: config.apiEndpoint(),
             appStoreOrigin: config.appStoreOrigin(),
@@ -744,6 +1482,110 @@ function inspect(options) {
     });
 }
 
+// apps are selected with --all, --location (repeatable) or --app. without any, the app of the manifest in cwd is used
+function getTargetApps(options, callback) {
+    var locations = options.location || [];
+
+    if (!options.all && locations.length === 0) {
+        return getApp(options.app, function (error, app) {
+            if (error) return callback(error);
+            if (!app) return callback(NO_APP_FOUND_ERROR_STRING);
+
+            callback(null, [ app ]);
+        });
+    }
+
+    helper.superagentEnd(function () {
+        return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
+    }, function (error, result) {
+        if (error && !error.response) return callback(error);
+        if (result.statusCode !== 200) return callback(util.format('Failed to list apps.'.red, result.statusCode, result.text));
+
+        if (options.all) return callback(null, result.body.apps);
+
+        var appsByLocation = Object.create(null);
+        result.body.apps.forEach(function (a) { appsByLocation[a.location] = a; });
+
+        var apps = [];
+        for (var i = 0; i < locations.length; i++) {
+            var app = appsByLocation[locations[i]];
+            if (!app) return callback(util.format('No app at location %s', locations[i]));
+
+            if (apps.indexOf(app) === -1) apps.push(app);
+        }
+
+        if (options.app) {
+            return getApp(options.app, function (error, app) {
+                if (error) return callback(error);
+
+                if (!apps.some(function (a) { return a.id === app.id; })) apps.push(app);
+                callback(null, apps);
+            });
+        }
+
+        callback(null, apps);
+    });
+}
+
+function setRunStateOfApps(action, options) {
+    var runState = action === 'stop' ? 'stopped' : 'running';
+    var concurrency = parseInt(options.concurrency || '5', 10);
+    if (!concurrency || concurrency < 1) exit('--concurrency must be a positive number');
+
+    getTargetApps(options, function (error, apps) {
+        if (error) exit(error);
+
+        var single = apps.length === 1;
+        var summary = [];
+
+        async.eachLimit(apps, concurrency, function (app, iteratorDone) {
+            var row = { id: app.id, location: app.location, result: '', success: false };
+            summary.push(row);
+
+            if (app.runState === runState) {
+                row.result = 'already ' + runState;
+                row.success = true;
+                return iteratorDone();
+            }
+
+            if (!single) console.log('%s: %s', app.location || app.id, action === 'stop' ? 'stopping' : 'starting');
+
+            setRunState(app, action, single, function (error) {
+                row.result = error ? error.message || String(error) : runState;
+                row.success = !error;
+                iteratorDone();
+            });
+        }, function () {
+            var failed = summary.filter(function (row) { return !row.success; });
+
+            if (single) console.log();
+
+            output.print(summary, [
+                { key: 'location', title: 'Location' },
+                { key: 'id', title: 'Id' },
+                { key: 'result', title: 'Result', format: function (result, row) { return row.success ? result.green : result.red; } },
+                { key: 'success', title: 'Success', hidden: true }
+            ], options);
+
+            if (failed.length) exit('Failed to %s %s of %s apps', action, failed.length, summary.length);
+
+            exit();
+        });
+    });
+}
+
+function stop(options) {
+    helper.verifyArguments(arguments);
+
+    setRunStateOfApps('stop', options);
+}
+
+function start(options) {
+    helper.verifyArguments(arguments);
+
+    setRunStateOfApps('start', options);
+}
+
 function restart(options) {
     helper.verifyArguments(arguments);
 
@@ -822,18 +1664,11 @@ function listBackups(options) {
             if (error && !error.response) exit(error);
             if (result.statusCode !== 200) return exit(util.format('Failed to list backups.'.red, result.statusCode, result.text));
 
-            var t = new Table();
-
-            result.body.backups.forEach(function (backup) {
-                t.cell('Id', backup.id);
-                t.cell('Creation Time', backup.creationTime);
-                t.cell('Version', backup.version);
-
-                t.newRow();
-            });
-
-            console.log();
-            console.log(t.toString());
+            output.print(result.body.backups, [
+                { key: 'id', title: 'Id' },
+                { key: 'creationTime', title: 'Creation Time' },
+                { key: 'version', title: 'Version' }
+            ], options);
         });
     });
 }
@@ -841,9 +1676,21 @@ function listBackups(options) {
 function downloadBackup(id, outdir, options, callback) {
     callback = callback || exit;
 
-    var outstream = outdir === '-' ? process.stdout : fs.createWriteStream(path.join(outdir || process.cwd(), id));
+    // stdout cannot be resumed or checksummed
+    if (outdir === '-') return helper.saveBackupStream(id, process.stdout, true, callback);
+
+    var filePath = path.join(outdir || process.cwd(), id);
+
+    if (options.verify) {
+        return backupDownload.verify(filePath, function (error) {
+            if (error) return callback(error);
+
+            console.log('%s: OK'.green, filePath);
+            callback();
+        });
+    }
 
-    helper.saveBackupStream(id, outstream, true, exit);
+    backupDownload.download(id, filePath, { decrypt: true, progress: true }, callback);
 }
 
 function restore(options) {
@@ -877,6 +1724,119 @@ function restore(options) {
     });
 }
 
+function getAppBackups(appId, callback) {
+    helper.superagentEnd(function () {
+        return superagent
+            .get(helper.createUrl('/api/v1/apps/' + appId + '/backups'))
+            .query({ access_token: config.token() });
+    }, function (error, result) {
+        if (error && !error.response) return callback(error);
+        if (result.statusCode !== 200) return callback(util.format('Failed to list backups.'.red, result.statusCode, result.text));
+
+        callback(null, result.body.backups);
+    });
+}
+
+function downloadAppBackup(options) {
+    helper.verifyArguments(arguments);
+
+    if (!options.app) helper.missing('app');
+    if (!options.backup) helper.missing('backup');
+
+    getApp(options.app, function (error, app) {
+        if (error) exit(error);
+
+        if (!app) exit(NO_APP_FOUND_ERROR_STRING);
+
+        getAppBackups(app.id, function (error, backups) {
+            if (error) exit(error);
+
+            if (!backups.some(function (backup) { return backup.id === options.backup; })) exit('%s is not a backup of app %s', options.backup, app.location || app.id);
+
+            downloadBackup(options.backup, options.out, options);
+        });
+    });
+}
+
+// the backup is uploaded into the backup storage of this cloudron as a backup of an installed app of the same type.
+// the app is then cloned from it. the backup has to be decrypted, it is encrypted again with the key of this cloudron
+function importBackup(options) {
+    helper.verifyArguments(arguments);
+
+    if (!options.file) helper.missing('file');
+    if (!fs.existsSync(options.file)) exit('%s does not exist', options.file);
+    if (archive.isEncrypted(options.file)) exit('The backup is encrypted. Decrypt it first with cloudron backup decrypt.');
+
+    archive.list(options.file, null, function (error, result) {
+        if (error) exit(error);
+
+        if (result.apps.length !== 1) exit('%s is not an app backup', options.file);
+
+        var backupApp = result.apps[0];
+
+        helper.superagentEnd(function () {
+            return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
+        }, function (error, result) {
+            if (error && !error.response) exit(error);
+            if (result.statusCode !== 200) return exit(util.format('Failed to list apps.'.red, result.statusCode, result.text));
+
+            var apps = result.body.apps.filter(function (a) { return a.manifest.id === backupApp.id; });
+            if (options.app) apps = apps.filter(function (a) { return a.id === options.app || a.location === options.app; });
+
+            if (apps.length === 0) exit('Install %s on this Cloudron first. The backup is imported as a clone of it.', backupApp.id);
+            if (apps.length > 1) exit('Multiple apps of type %s installed. Choose one with --app.', backupApp.id);
+
+            var app = apps[0];
+            var location = options.location || helper.question('Location: ', '--location');
+            var portBindings = applyPortOptions(defaultPortBindings(app.manifest), options.port || [], app.manifest);
+
+            if (app.manifest.version !== backupApp.version) console.log('The backup is of version %s, the app is at version %s'.yellow, backupApp.version, app.manifest.version);
+
+            helper.superagentEnd(function () {
+                return superagent.get(helper.createUrl('/api/v1/settings/backup_config')).query({ access_token: config.token() });
+            }, function (error, result) {
+                if (error && !error.response) exit(error);
+                if (result.statusCode === 403) exit(util.format('Failed to get the backup configuration. Admin privileges are required.'.red));
+                if (result.statusCode !== 200) return exit(util.format('Failed to get the backup configuration.'.red, result.statusCode, result.text));
+
+                var backupConfig = _.extend({ prefix: config.cloudron() }, result.body);
+                if (backupConfig.provider === 'filesystem' && !options.sshKey) helper.missing('ssh-key');
+
+                // named like the app backups of the cloudron
+                var backupId = util.format('appbackup_%s_%s-v%s.tar.gz', app.id, new Date().toISOString(), backupApp.version);
+                var uploadOptions = { backupHost: filesystem.backupHost(config.cloudron(), {}), sshKey: options.sshKey };
+
+                console.log('Uploading %s as %s', options.file, backupId);
+
+                backupUpload.upload(backupConfig, backupId, options.file, uploadOptions, function (error) {
+                    if (error) exit('Failed to upload backup: %s', error.message);
+
+                    var data = { backupId: backupId, location: location, portBindings: portBindings };
+
+                    helper.superagentEnd(function () {
+                        return superagent
+                            .post(helper.createUrl('/api/v1/apps/' + app.id + '/clone'))
+                            .query({ access_token: config.token() })
+                            .send(data);
+                    }, function (error, result) {
+                        if (error && !error.response) exit(error);
+                        if (result.statusCode === 409) exit(util.format('Failed to import app. The location %s is already used.'.red, location.bold));
+                        if (result.statusCode !== 201) return exit(util.format('Failed to import app. The backup %s is left in the backup storage.'.red, backupId, result.statusCode, result.text));
+
+                        console.log('App imported as id ' + result.body.id);
+                        waitForFinishInstallation(result.body.id, true, function (error) {
+                            if (error) return exit('\n\nApp import error: %s'.red, error.message);
+
+                            console.log('\n\nApp is imported'.green);
+                            exit();
+                        });
+                    });
+                });
+            });
+        });
+    });
+}
+
 function clone(options) {
     helper.verifyArguments(arguments);
 
@@ -887,27 +1847,47 @@ function clone(options) {
         if (!app) exit(NO_APP_FOUND_ERROR_STRING);
         if (!options.backup && !app.lastBackupId) exit('No previous backup found to clone from. Create a backup first.');
 
-        var location = options.location || readlineSync.question('Location: ', {});
-        var portBindings = queryPortBindings(app, app.manifest);
+        var location = options.location || helper.question('Location: ', '--location');
+        var ports = options.port || [];
+        var portBindings = ports.length ? portBindingsFromOptions(app, app.manifest, ports) : queryPortBindings(app, app.manifest);
 
-        helper.superagentEnd(function () {
-            return superagent
-            .post(helper.createUrl('/api/v1/apps/' + app.id + '/clone'))
-            .query({ access_token: config.token() })
-            .send({ backupId: options.backup || app.lastBackupId, location: location, portBindings: portBindings });
-        }, function (error, result) {
-            if (error && !error.response) exit(error);
-            if (result.statusCode !== 201) return exit(util.format('Failed to clone app.'.red, result.statusCode, result.text));
+        var data = { backupId: options.backup || app.lastBackupId, location: location, portBindings: portBindings };
+        if (options.oauthProxy) data.oauthProxy = true;
 
-            // FIXME: this should be waitForHealthCheck but the box code incorrectly modifies the installationState
-            console.log('App cloned as id ' + result.body.id);
-            waitForFinishInstallation(result.body.id, true, function (error) {
-                if (error) {
-                    return exit('\n\nApp clone error: %s'.red, error.message);
-                }
+        function getAccessRestriction(callback) {
+            if (!options.accessUsers && !options.accessGroups) return callback(null, null);
 
-                console.log('\n\nApp is cloned'.green);
-                exit();
+            getUsersAndGroups(function (error, result) {
+                if (error) return callback(error);
+
+                callback(null, accessRestrictionFromOptions(options, result.users));
+            });
+        }
+
+        getAccessRestriction(function (error, accessRestriction) {
+            if (error) exit(error);
+
+            if (accessRestriction) data.accessRestriction = accessRestriction;
+
+            helper.superagentEnd(function () {
+                return superagent
+                .post(helper.createUrl('/api/v1/apps/' + app.id + '/clone'))
+                .query({ access_token: config.token() })
+                .send(data);
+            }, function (error, result) {
+                if (error && !error.response) exit(error);
+                if (result.statusCode !== 201) return exit(util.format('Failed to clone app.'.red, result.statusCode, result.text));
+
+                // FIXME: this should be waitForHealthCheck but the box code incorrectly modifies the installationState
+                console.log('App cloned as id ' + result.body.id);
+                waitForFinishInstallation(result.body.id, true, function (error) {
+                    if (error) {
+                        return exit('\n\nApp clone error: %s'.red, error.message);
+                    }
+
+                    console.log('\n\nApp is cloned'.green);
+                    exit();
+                });
             });
         });
     });
@@ -1094,7 +2074,7 @@ function pull(remote, local, options) {
 }
 
 function createOAuthAppCredentials(options) {
-    var redirectURI = options.redirectUri || readlineSync.question('RedirectURI: ', {});
+    var redirectURI = options.redirectUri || helper.question('RedirectURI: ', '--redirect-uri');
 
     helper.superagentEnd(function () {
         return superagent
@@ -1122,9 +2102,9 @@ function createOAuthAppCredentials(options) {
     });
 }
 
-function init() {
+function init(options) {
     var manifestFilePath = helper.locateManifest();
-    if (path.dirname(manifestFilePath) === process.cwd()) return exit('CloudronManifest.json already exists in current directory'.red);
+    if (manifestFilePath && path.dirname(manifestFilePath) === process.cwd()) return exit('CloudronManifest.json already exists in current directory'.red);
 
     var manifestTemplate = fs.readFileSync(path.join(__dirname, '../templates/', 'CloudronManifest.json.ejs'), 'utf8');
     var dockerfileTemplate = fs.readFileSync(path.join(__dirname, '../templates/', 'Dockerfile.ejs'), 'utf8');
@@ -1137,8 +2117,9 @@ function init() {
     };
 
     // TODO more input validation, eg. httpPort has to be an integer
-    [ 'id', 'author', 'title', 'tagline', 'website', 'contactEmail', 'httpPort' ].forEach(function (field) {
-        data[field] = readlineSync.question(field + ': ', { });
+    var fields = { id: '--id', author: '--author', title: '--title', tagline: '--tagline', website: '--website', contactEmail: '--contact-email', httpPort: '--http-port' };
+    Object.keys(fields).forEach(function (field) {
+        data[field] = options[field] || helper.question(field + ': ', fields[field]);
     });
 
     var manifest = ejs.render(manifestTemplate, data);
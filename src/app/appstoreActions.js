@@ -8,17 +8,16 @@ var superagent = require('superagent'),
     assert = require('assert'),
     fs = require('fs'),
     safe = require('safetydance'),
-    Table = require('easy-table'),
-    readlineSync = require('readline-sync'),
+    output = require('../output.js'),
     config = require('../config.js'),
+    docker = require('../docker.js'),
     tar = require('tar-fs'),
     helper = require('../helper.js'),
     exit = helper.exit,
     EventSource = require('eventsource'),
     manifestFormat = require('cloudron-manifestformat'),
     semver = require('semver'),
-    split = require('split'),
-    micromatch = require('micromatch');
+    split = require('split');
 
 require('colors');
 
@@ -32,7 +31,11 @@ exports = module.exports = {
     unpublish: unpublish,
     build: build,
     buildLogs: buildLogs,
-    listPublishedApps: listPublishedApps
+    lint: lint,
+    listPublishedApps: listPublishedApps,
+
+    // this is used by the tests
+    lintManifest: lintManifest
 };
 
 function createUrl(api) {
@@ -50,16 +53,20 @@ function superagentEnd(requestFactory, callback) {
 }
 
 function authenticate(options, callback) {
-    console.log();
-    console.log('Appstore login'.bold + ' (If you do not have one, sign up at https://cloudron.io)');
-    var username = options.username || readlineSync.question('Email: ', {});
-    var password = readlineSync.question('Password: ', { noEchoBack: true });
+    if (helper.isInteractive()) {
+        console.log();
+        console.log('Appstore login'.bold + ' (If you do not have one, sign up at https://cloudron.io)');
+    }
+
+    var username = options.username || process.env.CLOUDRON_APPSTORE_USERNAME || helper.question('Email: ', 'CLOUDRON_APPSTORE_USERNAME');
+    var password = process.env.CLOUDRON_APPSTORE_PASSWORD || helper.question('Password: ', 'CLOUDRON_APPSTORE_PASSWORD', { noEchoBack: true });
 
     config.unset('appStoreToken');
 
     superagent.get(createUrl('/api/v1/login')).auth(username, password).end(function (error, result) {
         if (error && !error.response) exit(error);
         if (result.statusCode !== 200) {
+            if (!helper.isInteractive()) exit('Appstore login failed.');
             console.log('Login failed.'.red);
             return authenticate({}, callback);
         }
@@ -110,31 +117,35 @@ function listVersions(options) {
             if (error && !error.response) exit(util.format('Failed to list versions: %s', error.message.red));
             if (result.statusCode !== 200) exit(util.format('Failed to list versions: %s message: %s', result.statusCode, result.text));
 
-            if (result.body.versions.length === 0) return console.log('No versions found.');
-
             if (options.raw) return console.log(JSON.stringify(result.body.versions, null, 2));
 
+            if (result.body.versions.length === 0 && output.isTable(options)) return console.log('No versions found.');
+
             var versions = result.body.versions.reverse();
 
-            var manifest = versions[0].manifest;
-            console.log('id: %s', versions[0].id.bold);
-            console.log('title: %s', manifest.title.bold);
-            console.log('tagline: %s', manifest.tagline.bold);
-            console.log('description: %s', manifest.description.bold);
-            console.log('website: %s', manifest.website.bold);
-            console.log('contactEmail: %s', manifest.contactEmail.bold);
-
-            var t = new Table();
-
-            versions.forEach(function (version) {
-                t.cell('Version', version.manifest.version);
-                t.cell('Creation Date', version.creationDate);
-                t.cell('Publish state', version.publishState);
-                t.newRow();
-            });
+            if (output.isTable(options)) {
+                var manifest = versions[0].manifest;
+                console.log('id: %s', versions[0].id.bold);
+                console.log('title: %s', manifest.title.bold);
+                console.log('tagline: %s', manifest.tagline.bold);
+                console.log('description: %s', manifest.description.bold);
+                console.log('website: %s', manifest.website.bold);
+                console.log('contactEmail: %s', manifest.contactEmail.bold);
+            }
 
-            console.log();
-            console.log(t.toString());
+            output.print(versions.map(function (version) {
+                return {
+                    id: version.id,
+                    version: version.manifest.version,
+                    creationDate: version.creationDate,
+                    publishState: version.publishState
+                };
+            }), [
+                { key: 'id', title: 'Id', hidden: true },
+                { key: 'version', title: 'Version' },
+                { key: 'creationDate', title: 'Creation Date' },
+                { key: 'publishState', title: 'Publish state' }
+            ], options);
         });
     });
 }
@@ -277,7 +288,7 @@ function delVersion(manifest, force) {
 
     if (!force) {
         console.log('This will delete the version %s of app %s from the appstore!'.red, manifest.version.bold, manifest.id.bold);
-        var reallyDelete = readlineSync.question(util.format('Really do this? [y/N]: '), {});
+        var reallyDelete = helper.question(util.format('Really do this? [y/N]: '), '--force');
         if (reallyDelete.toUpperCase() !== 'Y') exit();
     }
 
@@ -297,7 +308,7 @@ function delApp(appId, force) {
 
     if (!force) {
         console.log('This will delete app %s from the appstore!'.red, appId.bold);
-        var reallyDelete = readlineSync.question(util.format('Really do this? [y/N]: '), {});
+        var reallyDelete = helper.question(util.format('Really do this? [y/N]: '), '--force');
         if (reallyDelete.toUpperCase() !== 'Y') exit();
     }
 
@@ -350,8 +361,11 @@ function upload(options) {
 
         console.log(error.message.red);
 
-        var reallyUpload = readlineSync.question(util.format('Appstore requirements are not met. Really upload? [y/N]: '), {});
-        if (reallyUpload.toUpperCase() !== 'Y') exit();
+        // --skip-validation is explicit enough when nobody can be asked
+        if (helper.isInteractive()) {
+            var reallyUpload = helper.question(util.format('Appstore requirements are not met. Really upload? [y/N]: '), '--skip-validation');
+            if (reallyUpload.toUpperCase() !== 'Y') exit();
+        }
     }
 
     var manifest = result.manifest;
@@ -542,27 +556,121 @@ function verifyDockerfile(dockerFilePath) {
     return new Error('Base image must be cloudron/base:0.5.0');
 }
 
-function dockerignoreMatcher(dockerignorePath) {
-    var patterns = [];
+// manifest fields may reference files with file://. the icon can also be a plain path (backward compat)
+function resolveManifestFile(value, baseDir) {
+    if (value.slice(0, 7) === 'file://') value = value.slice(7);
 
-    if (fs.existsSync(dockerignorePath)) {
-        patterns = fs.readFileSync(dockerignorePath, 'utf8').split('\n');
+    return path.isAbsolute(value) ? value : path.join(baseDir, value);
+}
 
-        patterns = patterns.filter(function (line) { return line[0] !== '#'; });
-        patterns = patterns.map(function (line) {
-            var l = line.trim();
+function exposedPorts(dockerFilePath) {
+    var contents = safe.fs.readFileSync(dockerFilePath, 'utf8') || '';
+    var ports = [];
 
-            while (l[0] === '/') l = l.slice(1);
-            while (l[l.length-1] === '/') l = l.slice(0, -1);
+    contents.split('\n').forEach(function (line) {
+        var result = line.match(/^\s*EXPOSE\s+(.*)$/i);
+        if (!result) return;
 
-            return l;
-        });
-        patterns = patterns.filter(function (line) { return line.length !== 0; });
+        result[1].trim().split(/\s+/).forEach(function (port) { ports.push(parseInt(port, 10)); }); // 8000 or 8000/tcp
+    });
+
+    return ports;
+}
+
+// returns { width, height } or null if this is not a png
+function pngDimensions(filePath) {
+    var data = safe.fs.readFileSync(filePath);
+    if (!data || data.length < 24 || data.toString('hex', 0, 8) !== '89504e470d0a1a0a') return null;
+
+    return { width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+}
+
+// returns a list of { level, check, message }. level is 'error' or 'warning'
+function lintManifest(manifestFilePath) {
+    var results = [];
+    var baseDir = path.dirname(manifestFilePath);
+
+    function error(check, message) { results.push({ level: 'error', check: check, message: message }); }
+    function warning(check, message) { results.push({ level: 'warning', check: check, message: message }); }
+
+    var result = manifestFormat.parseFile(manifestFilePath);
+    if (result.error) {
+        error('manifest', result.error.message);
+        return results; // all other checks need a valid manifest
     }
 
-    return function ignore(path) {
-        return micromatch([ path ], patterns, { dot: true }).length == 1;
-    };
+    var manifest = result.manifest;
+
+    var appstoreError = manifestFormat.checkAppstoreRequirements(manifest);
+    if (appstoreError) error('appstore', appstoreError.message);
+
+    var dockerFilePath = path.join(baseDir, 'Dockerfile');
+    var dockerfileError = verifyDockerfile(dockerFilePath);
+    if (dockerfileError) error('dockerfile', dockerfileError.message);
+
+    [ 'icon', 'description', 'changelog', 'postInstallMessage' ].forEach(function (field) {
+        if (typeof manifest[field] !== 'string') return;
+        if (field !== 'icon' && manifest[field].slice(0, 7) !== 'file://') return;
+
+        var filePath = resolveManifestFile(manifest[field], baseDir);
+        if (!fs.existsSync(filePath)) error('files', util.format('%s file %s does not exist', field, filePath));
+    });
+
+    if (typeof manifest.changelog === 'string' && manifest.changelog.slice(0, 7) === 'file://') {
+        var changelogPath = resolveManifestFile(manifest.changelog, baseDir);
+        if (fs.existsSync(changelogPath) && !parseChangelog(changelogPath, manifest.version)) error('changelog', util.format('%s has no entry for version %s', changelogPath, manifest.version));
+    }
+
+    var exposed = exposedPorts(dockerFilePath);
+    if (manifest.httpPort && exposed.indexOf(manifest.httpPort) === -1) error('ports', util.format('httpPort %s is not EXPOSEd in the Dockerfile', manifest.httpPort));
+
+    var containerPorts = {};
+    Object.keys(manifest.tcpPorts || {}).forEach(function (env) {
+        var tcpPort = manifest.tcpPorts[env];
+        var containerPort = tcpPort.containerPort || tcpPort.defaultValue;
+
+        if (!tcpPort.defaultValue) warning('ports', util.format('tcpPort %s has no defaultValue', env));
+        if (!containerPort) return;
+
+        if (containerPort === manifest.httpPort) error('ports', util.format('tcpPort %s uses the httpPort %s', env, containerPort));
+        if (containerPorts[containerPort]) error('ports', util.format('tcpPorts %s and %s both use port %s', containerPorts[containerPort], env, containerPort));
+        if (exposed.indexOf(containerPort) === -1) warning('ports', util.format('tcpPort %s (%s) is not EXPOSEd in the Dockerfile', env, containerPort));
+
+        containerPorts[containerPort] = env;
+    });
+
+    if (typeof manifest.icon === 'string' && fs.existsSync(resolveManifestFile(manifest.icon, baseDir))) {
+        var dimensions = pngDimensions(resolveManifestFile(manifest.icon, baseDir));
+
+        if (!dimensions) warning('icon', 'icon is not a PNG file');
+        else if (dimensions.width !== dimensions.height) error('icon', util.format('icon is not square (%sx%s)', dimensions.width, dimensions.height));
+        else if (dimensions.width < 128 || dimensions.width > 1024) warning('icon', util.format('icon should be between 128x128 and 1024x1024, it is %sx%s', dimensions.width, dimensions.height));
+    }
+
+    return results;
+}
+
+function lint(options) {
+    helper.verifyArguments(arguments);
+
+    var manifestFilePath = helper.locateManifest();
+    if (!manifestFilePath) return exit('No CloudronManifest.json found');
+
+    var results = lintManifest(manifestFilePath);
+    var errors = results.filter(function (r) { return r.level === 'error'; }).length;
+
+    if (results.length !== 0 || !output.isTable(options)) {
+        output.print(results, [
+            { key: 'level', title: 'Level', format: function (level) { return level === 'error' ? level.red : level.yellow; } },
+            { key: 'check', title: 'Check' },
+            { key: 'message', title: 'Message' }
+        ], options);
+    }
+
+    if (errors) return exit('%s error(s), %s warning(s)', errors, results.length - errors);
+
+    if (output.isTable(options)) console.log(results.length ? 'No errors'.green : 'No problems found'.green);
+    exit();
 }
 
 function build(options) {
@@ -585,9 +693,12 @@ function build(options) {
     console.log();
 
     var sourceDir = path.dirname(manifestFilePath);
+
+    if (options.local) return buildLocal(manifest, sourceDir, options);
+
     var sourceArchiveFilePath = util.format('/tmp/%s.tar.gz', manifest.id);
     var dockerignoreFilePath = path.join(sourceDir, '.dockerignore');
-    var ignoreMatcher = dockerignoreMatcher(dockerignoreFilePath);
+    var ignoreMatcher = helper.dockerignoreMatcher(dockerignoreFilePath);
 
     var stream = tar.pack(path.dirname(manifestFilePath), {
         ignore: function (name) {
@@ -638,6 +749,49 @@ function build(options) {
     });
 }
 
+function printDockerMessage(raw, message) {
+    if (raw) return console.log(JSON.stringify(message));
+
+    if (message.error) console.error(message.error.red);
+    else if (message.stream) process.stdout.write(message.stream);
+    else if (message.status && !message.progressDetail) console.log(message.id ? message.id + ': ' + message.status : message.status);
+}
+
+// builds with the local docker daemon and pushes the image to the registry, instead of using the buildbot
+function buildLocal(manifest, sourceDir, options) {
+    var registry = options.registry || config.get('dockerRegistry');
+    if (!registry) return exit('Local builds are pushed to a registry. Use --registry <registry/namespace>, for example --registry docker.io/username');
+
+    if (options.registry) config.set('dockerRegistry', options.registry); // remembered for the next build
+
+    var buildId = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14); // docker tags cannot contain ':'
+    var dockerImage = registry.replace(/\/+$/, '') + '/' + manifest.id.toLowerCase() + ':' + buildId;
+
+    helper.addBuild(manifest.id, buildId);
+
+    var buildOptions = {
+        sourceDir: sourceDir,
+        tag: dockerImage,
+        ignore: helper.dockerignoreMatcher(path.join(sourceDir, '.dockerignore')),
+        noCache: !options.cache
+    };
+
+    docker.build(buildOptions, printDockerMessage.bind(null, !!options.raw), function (error) {
+        if (error) return exit('Failed to build app: %s', error.message);
+
+        console.log();
+        console.log('Pushing %s', dockerImage.cyan);
+
+        docker.push({ image: dockerImage }, printDockerMessage.bind(null, !!options.raw), function (error) {
+            if (error) return exit('Failed to push image: %s', error.message);
+
+            helper.updateBuild(manifest.id, buildId, dockerImage);
+            console.log('Success'.green);
+            exit();
+        });
+    });
+}
+
 function buildLogs(options) {
     helper.verifyArguments(arguments);
 
@@ -673,21 +827,26 @@ function listPublishedApps(options) {
         if (error && !error.response) return exit(util.format('Failed to get list of published apps: %s', error.message.red));
         if (result.statusCode !== 200) return exit(util.format('Failed to get list of published apps (statusCode %s): \n%s', result.statusCode, result.body && result.body.message ? result.body.message.red : result.text));
 
-        if (result.body.apps.length === 0) return console.log('No apps published.');
-
-        var t = new Table();
-
-        result.body.apps.forEach(function (app) {
-            t.cell('Id', app.id);
-            t.cell('Title', app.manifest.title);
-            t.cell('Latest Version', app.manifest.version);
-            t.cell('Publish State', app.publishState);
-            t.cell('Creation Date', new Date(app.creationDate));
-            if (options.image) t.cell('Image', app.manifest.dockerImage);
-            t.newRow();
+        if (result.body.apps.length === 0 && output.isTable(options)) return console.log('No apps published.');
+
+        var apps = result.body.apps.map(function (app) {
+            return {
+                id: app.id,
+                title: app.manifest.title,
+                version: app.manifest.version,
+                publishState: app.publishState,
+                creationDate: app.creationDate,
+                image: app.manifest.dockerImage || null
+            };
         });
 
-        console.log();
-        console.log(t.toString());
+        output.print(apps, [
+            { key: 'id', title: 'Id' },
+            { key: 'title', title: 'Title' },
+            { key: 'version', title: 'Latest Version' },
+            { key: 'publishState', title: 'Publish State' },
+            { key: 'creationDate', title: 'Creation Date', format: function (date) { return new Date(date); } },
+            { key: 'image', title: 'Image', hidden: !options.image }
+        ], options);
     });
 }
@@ -0,0 +1,209 @@
+/* jshint node:true */
+
+'use strict';
+
+var archive = require('../backup/archive.js'),
+    async = require('async'),
+    backupDiff = require('../backup/diff.js'),
+    decryptBackup = require('../backup/decrypt.js'),
+    fs = require('fs'),
+    helper = require('../helper.js'),
+    output = require('../output.js'),
+    path = require('path'),
+    safe = require('safetydance'),
+    util = require('util'),
+    yaml = require('js-yaml'),
+    _ = require('underscore');
+
+require('colors');
+
+var exit = helper.exit;
+
+exports = module.exports = {
+    decrypt: decrypt,
+    inspect: inspect,
+    diff: diff
+};
+
+// the key is read from a file, so that it does not show up in the process list or shell history
+function readKeyFile(keyFile) {
+    if (!keyFile) helper.missing('key-file');
+
+    var key = safe.fs.readFileSync(keyFile, 'utf8');
+    if (key === null) exit('Unable to read key file %s: %s', keyFile, safe.error.message);
+
+    key = key.trim();
+    if (!key) exit('Key file %s is empty', keyFile);
+
+    return key;
+}
+
+function decrypt(file, options) {
+    var key = readKeyFile(options.keyFile);
+    var digest = options.digest || 'auto';
+
+    if (!fs.existsSync(file)) exit('%s does not exist', file);
+    if (decryptBackup.DIGESTS.indexOf(digest) === -1) exit('Digest must be one of %s', decryptBackup.DIGESTS.join(', '));
+
+    if (options.stdout) {
+        return fs.createReadStream(file).pipe(decryptBackup.createDecryptStream(key, digest)).on('error', function (error) {
+            exit(error.message);
+        }).pipe(process.stdout);
+    }
+
+    var out = options.out || (file.slice(-4) === '.enc' ? file.slice(0, -4) : file + '.decrypted');
+
+    if (path.resolve(out) === path.resolve(file)) exit('The output file cannot be the backup itself');
+    if (fs.existsSync(out) && !options.force) exit('%s already exists. Use --force to overwrite it', out);
+
+    decryptBackup.decryptFile(file, out, key, digest, function (error) {
+        if (error) {
+            safe.fs.unlinkSync(out);
+            return exit(error.message);
+        }
+
+        console.log('Decrypted to %s'.green, out);
+    });
+}
+
+function extractEntry(file, key, entryPath, outdir) {
+    archive.extract(file, key, entryPath, outdir, function (error, extracted) {
+        if (error) return exit(error.message);
+        if (extracted.length === 0) exit('%s is not in the backup', entryPath);
+
+        console.log('Extracted %s files to %s'.green, extracted.length, outdir);
+    });
+}
+
+function inspect(file, options) {
+    if (!fs.existsSync(file)) exit('%s does not exist', file);
+    if (options.extract && options.app) exit('Use either --extract or --app');
+
+    var key = archive.isEncrypted(file) ? readKeyFile(options.keyFile) : null;
+    var outdir = path.resolve(options.out || process.cwd());
+
+    if (options.extract) return extractEntry(file, key, options.extract, outdir);
+
+    archive.list(file, key, function (error, result) {
+        if (error) return exit(error.message);
+
+        if (options.app) {
+            var app = result.apps.filter(function (a) { return a.id === options.app || a.location === options.app; })[0];
+            if (!app) exit('No app %s in the backup', options.app);
+
+            // the data of an app is the directory of its config.json
+            return extractEntry(file, key, path.dirname(app.path), outdir);
+        }
+
+        if (options.apps) {
+            return output.print(result.apps, [
+                { key: 'id', title: 'App' },
+                { key: 'version', title: 'Version' },
+                { key: 'location', title: 'Location' },
+                { key: 'path', title: 'Config' }
+            ], options);
+        }
+
+        if (output.isTable(options)) {
+            result.apps.forEach(function (app) {
+                console.log('%s %s at %s (%s)', app.id.bold, app.version, app.location || '(bare domain)', app.path);
+            });
+            if (result.apps.length === 0) console.log('No app configuration found in the backup'.yellow);
+        }
+
+        output.print(result.entries, [
+            { key: 'path', title: 'Path' },
+            { key: 'type', title: 'Type' },
+            { key: 'size', title: 'Size' },
+            { key: 'mtime', title: 'Modified', hidden: true }
+        ], options);
+    });
+}
+
+// streams the backup through the download and decrypt path into the tar parser. nothing is written to disk
+function listBackup(backupId, callback) {
+    var listing = null, downloaded = false, called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error, listing);
+    }
+
+    var listStream = archive.createListStream(function (error, result) {
+        if (error) return done(error);
+
+        listing = result;
+        if (downloaded) done(null);
+    });
+
+    helper.saveBackupStream(backupId, listStream, true /* decrypt */, function (error) {
+        if (error) return done(new Error(util.format('%s: %s', backupId, error.message || error)));
+
+        downloaded = true;
+        if (listing) done(null);
+    });
+}
+
+// a box backup is compared together with the app backups it depends on
+function listBackupWithDependencies(backupId, backups, callback) {
+    var backup = backups.filter(function (b) { return b.id === backupId; })[0];
+    var backupIds = [ backupId ].concat(backup ? backup.dependsOn || [] : []);
+    var groups = {};
+
+    async.eachSeries(backupIds, function (id, iteratorDone) {
+        console.error('Reading %s', id);
+
+        listBackup(id, function (error, listing) {
+            if (error) return iteratorDone(error);
+
+            _.each(backupDiff.groupByApp(listing), function (group, key) {
+                if (!groups[key]) groups[key] = group;
+                else _.extend(groups[key].entries, group.entries);
+            });
+
+            iteratorDone();
+        });
+    }, function (error) {
+        callback(error, groups);
+    });
+}
+
+function printDiff(results, idA, idB) {
+    if (results.length === 0) return console.log('No differences between %s and %s', idA, idB);
+
+    results.forEach(function (result) {
+        console.log();
+        console.log('%s%s', result.app.bold, result.id ? ' (' + result.id + ')' : '');
+        if (result.versionA !== result.versionB) console.log('  version %s -> %s', result.versionA || '-', result.versionB || '-');
+
+        result.added.forEach(function (entryPath) { console.log('  + %s'.green, entryPath); });
+        result.removed.forEach(function (entryPath) { console.log('  - %s'.red, entryPath); });
+        result.modified.forEach(function (entry) {
+            console.log('  M %s'.yellow, entry.path, util.format('(%s -> %s bytes)', entry.sizeA, entry.sizeB).gray);
+        });
+    });
+}
+
+function diff(idA, idB, options) {
+    if (options.output && options.output !== 'text' && options.output !== 'json' && options.output !== 'yaml') exit('--output must be one of text, json, yaml');
+
+    helper.getCloudronBackupList(function (error, backups) {
+        if (error) return exit(error);
+
+        listBackupWithDependencies(idA, backups, function (error, groupsA) {
+            if (error) return exit(error);
+
+            listBackupWithDependencies(idB, backups, function (error, groupsB) {
+                if (error) return exit(error);
+
+                var results = backupDiff.diff(groupsA, groupsB);
+
+                if (options.output === 'json') console.log(JSON.stringify(results, null, 2));
+                else if (options.output === 'yaml') process.stdout.write(yaml.safeDump(results, { skipInvalid: true }));
+                else printDiff(results, idA, idB);
+            });
+        });
+    });
+}
@@ -0,0 +1,247 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    config = require('../config.js'),
+    fs = require('fs'),
+    helper = require('../helper.js'),
+    manifestFormat = require('cloudron-manifestformat'),
+    path = require('path'),
+    spawn = require('child_process').spawn,
+    superagent = require('superagent'),
+    util = require('util');
+
+require('colors');
+
+var exit = helper.exit;
+
+exports = module.exports = {
+    dev: dev
+};
+
+var CLI_PATH = path.join(__dirname, '../../bin/cloudron');
+
+// changes to these files always require a rebuild
+var REBUILD_FILES = [ 'CloudronManifest.json', 'Dockerfile', '.dockerignore' ];
+
+// the dev loop reuses the other commands by running them as child processes, since they exit when done
+function runCommand(args) {
+    assert(Array.isArray(args));
+
+    console.log('\n=> %s'.cyan, 'cloudron ' + args.join(' '));
+
+    return spawn(process.execPath, [ CLI_PATH ].concat(args), { stdio: 'inherit' });
+}
+
+function runCommandAndWait(args, callback) {
+    runCommand(args).on('exit', function (code) {
+        if (code !== 0) return callback(new Error(util.format('cloudron %s failed with code %s', args[0], code)));
+
+        callback();
+    });
+}
+
+// apps which were installed from this source directory
+function findApp(manifestId, callback) {
+    helper.superagentEnd(function () {
+        return superagent.get(helper.createUrl('/api/v1/apps')).query({ access_token: config.token() });
+    }, function (error, result) {
+        if (error && !error.response) return callback(error);
+        if (result.statusCode !== 200) return callback(new Error(util.format('Failed to list apps. %s - %s', result.statusCode, result.text)));
+
+        var apps = result.body.apps.filter(function (app) { return !app.appStoreId && app.manifest.id === manifestId; });
+
+        if (apps.length > 1) return callback(new Error(util.format('Multiple apps of type %s installed. Choose one with --app.', manifestId)));
+
+        callback(null, apps[0] || null);
+    });
+}
+
+// calls onChange with the path relative to sourceDir. fs.watch is not recursive on all platforms, so every
+// directory is watched separately
+function watchDirectory(sourceDir, ignore, onChange) {
+    var watched = {};
+
+    function watch(dir) {
+        if (watched[dir]) return;
+
+        var relativeDir = path.relative(sourceDir, dir);
+        if (relativeDir && ignore(relativeDir)) return;
+
+        watched[dir] = fs.watch(dir, function (event, filename) {
+            if (!filename) return;
+
+            var filePath = path.join(dir, filename.toString());
+            var relativePath = path.relative(sourceDir, filePath);
+            if (ignore(relativePath)) return;
+
+            var stat = fs.existsSync(filePath) ? fs.statSync(filePath) : null;
+            if (stat && stat.isDirectory()) return watch(filePath);
+
+            onChange(relativePath);
+        });
+
+        fs.readdirSync(dir).forEach(function (entry) {
+            var entryPath = path.join(dir, entry);
+            if (fs.lstatSync(entryPath).isDirectory()) watch(entryPath);
+        });
+    }
+
+    watch(sourceDir);
+}
+
+// --sync local:remote maps a directory of the source to a directory in the app container
+function parseSyncOptions(syncOptions, sourceDir) {
+    return syncOptions.map(function (option) {
+        var parts = option.split(':');
+        if (parts.length !== 2 || !parts[0] || !parts[1]) exit('Invalid --sync %s. Use --sync <local dir>:<remote dir>', option);
+
+        return { local: path.relative(sourceDir, path.resolve(parts[0])), remote: parts[1] };
+    });
+}
+
+// returns the path in the app container, if the file can be pushed instead of rebuilding the app
+function remotePath(relativePath, syncs, sourceDir) {
+    if (REBUILD_FILES.indexOf(relativePath) !== -1) return null;
+    if (!fs.existsSync(path.join(sourceDir, relativePath))) return null; // deleted files require a rebuild
+
+    for (var i = 0; i < syncs.length; i++) {
+        var local = syncs[i].local;
+
+        if (local === '') return path.join(syncs[i].remote, relativePath);
+        if (relativePath.indexOf(local + '/') === 0) return path.join(syncs[i].remote, relativePath.slice(local.length + 1));
+    }
+
+    return null;
+}
+
+function dev(options) {
+    helper.verifyArguments(arguments);
+
+    var manifestFilePath = helper.locateManifest();
+    if (!manifestFilePath) return exit('No CloudronManifest.json found');
+
+    var result = manifestFormat.parseFile(manifestFilePath);
+    if (result.error) return exit('Error in CloudronManifest.json: ' + result.error.message.red);
+
+    var manifest = result.manifest;
+    var sourceDir = path.dirname(manifestFilePath);
+    var ignore = helper.dockerignoreMatcher(path.join(sourceDir, '.dockerignore'));
+    var syncs = parseSyncOptions(options.sync || [], sourceDir);
+
+    var appId = options.app || null;
+    var logsProcess = null;
+    var busy = false, changedFiles = [], timer = null;
+
+    function startLogs() {
+        logsProcess = runCommand([ 'logs', '--tail', '--app', appId ]);
+        logsProcess.on('exit', function () { logsProcess = null; });
+    }
+
+    function stopLogs() {
+        if (logsProcess) logsProcess.kill();
+    }
+
+    function deploy(callback) {
+        var installArgs = appId ? [ 'install', '--app', appId ] : [ 'install', '--new' ];
+        if (!appId && options.location) installArgs.push('--location', options.location);
+
+        runCommandAndWait(options.local ? [ 'build', '--local' ] : [ 'build' ], function (error) {
+            if (error) return callback(error);
+
+            runCommandAndWait(installArgs, function (error) {
+                if (error) return callback(error);
+                if (appId) return callback();
+
+                findApp(manifest.id, function (error, app) {
+                    if (error) return callback(error);
+                    if (!app) return callback(new Error('Installed app not found'));
+
+                    appId = app.id;
+                    callback();
+                });
+            });
+        });
+    }
+
+    function pushFiles(files, callback) {
+        if (files.length === 0) return callback();
+
+        var file = files.shift();
+
+        runCommandAndWait([ 'push', '--app', appId, path.join(sourceDir, file.local), file.remote ], function (error) {
+            if (error) return callback(error);
+
+            pushFiles(files, callback);
+        });
+    }
+
+    function processChanges() {
+        if (busy || changedFiles.length === 0) return;
+
+        var files = changedFiles;
+        changedFiles = [];
+        busy = true;
+
+        var pushes = files.map(function (file) { return { local: file, remote: remotePath(file, syncs, sourceDir) }; });
+        var rebuild = pushes.some(function (p) { return p.remote === null; });
+
+        console.log('\n%s changed'.yellow, files.join(', '));
+
+        stopLogs();
+
+        var func = rebuild ? deploy : pushFiles.bind(null, pushes);
+
+        func(function (error) {
+            busy = false;
+
+            if (error) console.log('%s. Waiting for changes...'.red, error.message);
+            else startLogs();
+
+            processChanges(); // changes while we were busy
+        });
+    }
+
+    function onChange(relativePath) {
+        if (changedFiles.indexOf(relativePath) === -1) changedFiles.push(relativePath);
+
+        // editors write files in several steps
+        clearTimeout(timer);
+        timer = setTimeout(processChanges, 500);
+    }
+
+    function start() {
+        busy = true;
+
+        deploy(function (error) {
+            busy = false;
+
+            if (error) console.log('%s. Waiting for changes...'.red, error.message);
+            else startLogs();
+
+            watchDirectory(sourceDir, ignore, onChange);
+            console.log('\nWatching %s for changes'.green, sourceDir);
+
+            processChanges();
+        });
+    }
+
+    process.on('SIGINT', function () {
+        stopLogs();
+        exit();
+    });
+
+    if (appId) return start();
+
+    findApp(manifest.id, function (error, app) {
+        if (error) exit(error);
+
+        if (app) {
+            appId = app.id;
+            console.log('Using app %s installed at %s', app.id.bold, app.location.cyan);
+        }
+
+        start();
+    });
+}
@@ -0,0 +1,82 @@
+/* jshint node:true */
+
+'use strict';
+
+var actions = require('./actions.js'),
+    config = require('../config.js'),
+    credentials = require('../credentials.js'),
+    helper = require('../helper.js'),
+    Table = require('easy-table');
+
+require('colors');
+
+var exit = helper.exit;
+
+exports = module.exports = {
+    add: add,
+    list: list,
+    use: use,
+    remove: remove,
+    credentialStore: credentialStore
+};
+
+function add(name, cloudron, options) {
+    if (config.profiles()[name]) exit('Profile %s already exists. Use %s to log into it again.', name.bold, ('cloudron --cloudron ' + name + ' login').yellow);
+
+    // login stores the cloudron and token in the profile named by CLOUDRON_PROFILE
+    process.env.CLOUDRON_PROFILE = name;
+
+    actions.login(cloudron, options);
+}
+
+function list() {
+    helper.verifyArguments(arguments);
+
+    var profiles = config.profiles();
+    var names = Object.keys(profiles).sort();
+
+    if (names.length === 0) return exit('No profiles. Use the ' + 'login'.yellow.bold + ' command first.');
+
+    var t = new Table();
+
+    names.forEach(function (name) {
+        t.cell('Active', name === config.activeProfile() ? '*' : '');
+        t.cell('Name', name);
+        t.cell('Cloudron', profiles[name].cloudron || '');
+        t.cell('Logged in', config.profileToken(name) ? 'yes' : 'no');
+        t.newRow();
+    });
+
+    console.log();
+    console.log(t.toString());
+}
+
+function use(name) {
+    if (!config.profiles()[name]) exit('No such profile %s', name.bold);
+
+    config.useProfile(name);
+
+    console.log('Using profile %s (%s)', name.bold, config.cloudron());
+}
+
+function remove(name) {
+    if (!config.profiles()[name]) exit('No such profile %s', name.bold);
+
+    config.removeProfile(name);
+
+    console.log('Removed profile %s', name.bold);
+}
+
+function credentialStore(store, command) {
+    if (!store) {
+        var current = config.credentialStore();
+        return console.log('Tokens are stored in %s', current.type === 'helper' ? 'credential helper ' + current.command : current.type);
+    }
+
+    if (credentials.STORES.indexOf(store) === -1) exit('Credential store must be one of %s', credentials.STORES.join(', '));
+    if (store === 'helper' && !command) exit('Credential helper command is required');
+
+    config.useCredentialStore(store === 'helper' ? { type: store, command: command } : { type: store });
+
+    console.log('Tokens are now stored in %s'.green, store);
+}
@@ -0,0 +1,249 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    decrypt = require('./decrypt.js'),
+    fs = require('fs'),
+    mkdirp = require('mkdirp'),
+    os = require('os'),
+    path = require('path'),
+    safe = require('safetydance'),
+    tar = require('tar-fs'),
+    util = require('util'),
+    zlib = require('zlib');
+
+exports = module.exports = {
+    isEncrypted: isEncrypted,
+    list: list,
+    extract: extract,
+    createListStream: createListStream,
+    createScanStream: createScanStream
+};
+
+function readMagic(file) {
+    var buffer = Buffer.alloc(8);
+    var fd = fs.openSync(file, 'r');
+    var bytesRead = fs.readSync(fd, buffer, 0, 8, 0);
+    fs.closeSync(fd);
+
+    return buffer.slice(0, bytesRead);
+}
+
+function isEncrypted(file) {
+    return readMagic(file).toString('binary') === 'Salted__';
+}
+
+// returns the uncompressed tar stream of a backup. backups are gzipped tarballs, which are usually encrypted
+function tarStream(file, key) {
+    var stream = fs.createReadStream(file);
+    var streams = [ stream ];
+    var encrypted = isEncrypted(file);
+
+    if (encrypted) {
+        if (!key) throw new Error('The backup is encrypted. A key is required.');
+
+        stream = stream.pipe(decrypt.createDecryptStream(key));
+        streams.push(stream);
+        stream = stream.pipe(zlib.createGunzip());
+        streams.push(stream);
+    } else if (readMagic(file).toString('hex', 0, 2) === '1f8b') {
+        stream = stream.pipe(zlib.createGunzip());
+        streams.push(stream);
+    }
+
+    return { stream: stream, streams: streams, encrypted: encrypted };
+}
+
+// runs the tar extraction and reports errors of any of the streams once
+function run(file, key, outdir, tarOptions, callback) {
+    var called = false;
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error);
+    }
+
+    var input = safe(function () { return tarStream(file, key); });
+    if (!input) return callback(safe.error);
+
+    input.streams.forEach(function (s) {
+        s.on('error', function (error) {
+            // with a wrong key, the decrypted data is usually not gzip before the padding check fails at the end
+            if (input.encrypted && s instanceof zlib.Gunzip) return done(new Error('Unable to decrypt backup. Wrong key?'));
+
+            done(error);
+        });
+    });
+
+    input.stream.pipe(tar.extract(outdir, tarOptions)).on('error', function (error) {
+        done(new Error(util.format('Unable to read backup: %s', error.message)));
+    }).on('finish', done.bind(null, null));
+}
+
+function entryName(header) {
+    return header.name.replace(/^\.\//, '');
+}
+
+var gListCount = 0;
+
+// collects the entries of a tar stream. only the config.json files, which describe the backed up apps, are extracted
+// into a temporary directory. finish() reads and removes them
+function createLister() {
+    var entries = [], configFiles = [], extractEntry = false;
+    var tmpdir = path.join(os.tmpdir(), 'cloudron-backup-list-' + process.pid + '-' + (++gListCount));
+
+    mkdirp.sync(tmpdir);
+
+    return {
+        tmpdir: tmpdir,
+        // map is called before ignore for every entry. config.json files get unique names in tmpdir
+        tarOptions: {
+            map: function (header) {
+                var entry = entryName(header);
+
+                extractEntry = false;
+                if (!entry) return header;
+
+                entries.push({ path: entry, type: header.type, size: header.size, mtime: header.mtime });
+
+                if (header.type !== 'file' || path.basename(entry) !== 'config.json' || entry.split('/').length > 2) return header;
+
+                extractEntry = true;
+                header.name = 'config-' + configFiles.length + '.json';
+                configFiles.push({ path: entry, file: path.join(tmpdir, header.name) });
+                return header;
+            },
+            ignore: function () {
+                return !extractEntry;
+            }
+        },
+        finish: function () {
+            var apps = [];
+
+            configFiles.forEach(function (configFile) {
+                var data = safe.JSON.parse(safe.fs.readFileSync(configFile.file, 'utf8'));
+                safe.fs.unlinkSync(configFile.file);
+
+                if (!data || !data.manifest) return;
+
+                apps.push({ path: configFile.path, id: data.manifest.id, version: data.manifest.version, location: data.location });
+            });
+
+            safe(function () { fs.rmdirSync(tmpdir); });
+
+            return { entries: entries, apps: apps };
+        }
+    };
+}
+
+// lists the entries of the backup file
+function list(file, key, callback) {
+    assert.strictEqual(typeof file, 'string');
+    assert(!key || typeof key === 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var lister = createLister();
+
+    run(file, key, lister.tmpdir, lister.tarOptions, function (error) {
+        var result = lister.finish();
+
+        if (error) return callback(error);
+
+        callback(null, result);
+    });
+}
+
+// returns a writable stream for a gzipped tarball, like the decrypted download of a backup. callback gets the same
+// result as list()
+function createListStream(callback) {
+    assert.strictEqual(typeof callback, 'function');
+
+    var lister = createLister();
+    var called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        var result = lister.finish();
+
+        if (error) return callback(new Error(util.format('Unable to read backup: %s', error.message)));
+
+        callback(null, result);
+    }
+
+    var gunzip = zlib.createGunzip();
+
+    gunzip.on('error', done);
+    gunzip.pipe(tar.extract(lister.tmpdir, lister.tarOptions)).on('error', done).on('finish', done.bind(null, null));
+
+    return gunzip;
+}
+
+// extracts the file or directory at entryPath into outdir. the rest of the backup is skipped
+function extract(file, key, entryPath, outdir, callback) {
+    assert.strictEqual(typeof file, 'string');
+    assert(!key || typeof key === 'string');
+    assert.strictEqual(typeof entryPath, 'string');
+    assert.strictEqual(typeof outdir, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var prefix = entryPath === '.' ? '' : entryPath.replace(/^\.\//, '').replace(/\/+$/, '');
+    var extracted = [];
+
+    mkdirp.sync(outdir);
+
+    run(file, key, outdir, {
+        ignore: function (name, header) {
+            var entry = entryName(header).replace(/\/+$/, '');
+            if (prefix && entry !== prefix && entry.indexOf(prefix + '/') !== 0) return true;
+
+            if (header.type === 'file') extracted.push(entry);
+            return false;
+        }
+    }, function (error) {
+        if (error) return callback(error);
+
+        callback(null, extracted);
+    });
+}
+
+// returns a writable stream which parses a gzipped tarball without writing anything to disk. callback gets the number
+// of entries and files, the uncompressed size of the files and the entries which could not be read
+function createScanStream(callback) {
+    assert.strictEqual(typeof callback, 'function');
+
+    var result = { entries: 0, files: 0, size: 0, corrupt: [] };
+    var current = null, called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        if (error) result.corrupt.push({ path: current || '(archive)', error: error.message });
+
+        callback(null, result);
+    }
+
+    var gunzip = zlib.createGunzip();
+
+    gunzip.on('error', done);
+
+    gunzip.pipe(tar.extract(os.tmpdir(), {
+        ignore: function (name, header) {
+            current = entryName(header);
+
+            ++result.entries;
+            if (header.type === 'file') {
+                ++result.files;
+                result.size += header.size;
+            }
+
+            return true; // the data is only read, never written
+        }
+    })).on('error', done).on('finish', done.bind(null, null));
+
+    return gunzip;
+}
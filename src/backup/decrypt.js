@@ -0,0 +1,163 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    Transform = require('stream').Transform,
+    util = require('util');
+
+exports = module.exports = {
+    DIGESTS: [ 'auto', 'md5', 'sha256' ],
+
+    createDecryptStream: createDecryptStream,
+    createEncryptStream: createEncryptStream,
+    decryptFile: decryptFile
+};
+
+// 'openssl enc' writes 'Salted__' followed by an 8 byte salt
+var MAGIC = 'Salted__';
+var HEADER_LENGTH = 16;
+var BLOCK_LENGTH = 16;
+
+// EVP_BytesToKey of openssl with a single iteration. this is what 'openssl aes-256-cbc -pass' uses. the digest is md5
+// up to OpenSSL 1.0 and sha256 since OpenSSL 1.1
+function evpBytesToKey(digest, password, salt, keyLength, ivLength) {
+    var data = Buffer.alloc(0), block = Buffer.alloc(0);
+
+    while (data.length < keyLength + ivLength) {
+        block = crypto.createHash(digest).update(Buffer.concat([ block, Buffer.from(password, 'utf8'), salt ])).digest();
+        data = Buffer.concat([ data, block ]);
+    }
+
+    return { key: data.slice(0, keyLength), iv: data.slice(keyLength, keyLength + ivLength) };
+}
+
+function createDecipher(digest, password, salt) {
+    var keyIv = evpBytesToKey(digest, password, salt, 32, 16);
+
+    return crypto.createDecipheriv('aes-256-cbc', keyIv.key, keyIv.iv);
+}
+
+// backups are gzipped, so the digest which decrypts the first block to the gzip magic is the one the server used.
+// md5 is used if neither does, which then fails with a wrong key error
+function detectDigest(password, salt, firstBlock) {
+    return [ 'md5', 'sha256' ].filter(function (digest) {
+        var decipher = createDecipher(digest, password, salt);
+        decipher.setAutoPadding(false);
+
+        return decipher.update(firstBlock).toString('hex', 0, 2) === '1f8b';
+    })[0] || 'md5';
+}
+
+function DecryptStream(password, digest) {
+    Transform.call(this);
+
+    this._password = password;
+    this._digest = digest;
+    this._header = Buffer.alloc(0);
+    this._decipher = null;
+}
+util.inherits(DecryptStream, Transform);
+
+// creates the decipher once the header (and the first block to detect the digest) is read and decrypts the rest
+DecryptStream.prototype._start = function () {
+    if (this._header.toString('binary', 0, MAGIC.length) !== MAGIC) throw new Error('Not an encrypted backup. The Salted__ header is missing.');
+
+    var salt = this._header.slice(MAGIC.length, HEADER_LENGTH);
+    var firstBlock = this._header.slice(HEADER_LENGTH, HEADER_LENGTH + BLOCK_LENGTH);
+    var digest = this._digest !== 'auto' ? this._digest : (firstBlock.length === BLOCK_LENGTH ? detectDigest(this._password, salt, firstBlock) : 'md5');
+
+    this._decipher = createDecipher(digest, this._password, salt);
+    this.push(this._decipher.update(this._header.slice(HEADER_LENGTH)));
+    this._header = null;
+};
+
+DecryptStream.prototype._transform = function (chunk, encoding, callback) {
+    try {
+        if (this._decipher) {
+            this.push(this._decipher.update(chunk));
+        } else {
+            this._header = Buffer.concat([ this._header, chunk ]);
+            if (this._header.length >= HEADER_LENGTH + (this._digest === 'auto' ? BLOCK_LENGTH : 0)) this._start();
+        }
+    } catch (e) {
+        return callback(e);
+    }
+
+    callback();
+};
+
+DecryptStream.prototype._flush = function (callback) {
+    if (!this._decipher && this._header.length < HEADER_LENGTH) return callback(new Error('Not an encrypted backup. The file is too short.'));
+
+    try {
+        if (!this._decipher) this._start();
+    } catch (e) {
+        return callback(e);
+    }
+
+    try {
+        this.push(this._decipher.final());
+    } catch (e) {
+        return callback(new Error('Unable to decrypt backup. Wrong key?'));
+    }
+
+    callback();
+};
+
+// decrypts the aes-256-cbc format of 'openssl enc' without spawning openssl, which would show the key in the process list.
+// digest is the one of EVP_BytesToKey. 'auto' (the default) detects it for gzipped data like backups
+function createDecryptStream(password, digest) {
+    assert.strictEqual(typeof password, 'string');
+    assert(!digest || exports.DIGESTS.indexOf(digest) !== -1);
+
+    return new DecryptStream(password, digest || 'auto');
+}
+
+// the reverse of createDecryptStream for uploading backups, in the format of 'openssl enc -aes-256-cbc -salt'. md5 is
+// the digest which the openssl of the server uses to decrypt backups
+function createEncryptStream(password, digest) {
+    assert.strictEqual(typeof password, 'string');
+    assert(!digest || (digest !== 'auto' && exports.DIGESTS.indexOf(digest) !== -1));
+
+    var salt = crypto.randomBytes(HEADER_LENGTH - MAGIC.length);
+    var keyIv = evpBytesToKey(digest || 'md5', password, salt, 32, 16);
+    var cipher = crypto.createCipheriv('aes-256-cbc', keyIv.key, keyIv.iv);
+
+    cipher.push(Buffer.concat([ Buffer.from(MAGIC, 'binary'), salt ]));
+
+    return cipher;
+}
+
+function decryptFile(inputFilePath, outputFilePath, password, digest, callback) {
+    if (typeof digest === 'function') {
+        callback = digest;
+        digest = null;
+    }
+
+    assert.strictEqual(typeof inputFilePath, 'string');
+    assert.strictEqual(typeof outputFilePath, 'string');
+    assert.strictEqual(typeof password, 'string');
+    assert(!digest || typeof digest === 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var called = false;
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error);
+    }
+
+    var outstream = fs.createWriteStream(outputFilePath);
+
+    fs.createReadStream(inputFilePath)
+        .on('error', done)
+        .pipe(createDecryptStream(password, digest))
+        .on('error', done)
+        .pipe(outstream)
+        .on('error', done)
+        .on('finish', done.bind(null, null));
+}
@@ -0,0 +1,84 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    path = require('path');
+
+exports = module.exports = {
+    groupByApp: groupByApp,
+    diff: diff
+};
+
+var BOX = '(box)';
+
+// listing is the result of archive.list(). entries belong to the app with the nearest config.json above them.
+// entries outside of any app belong to the box. returns an object keyed by app location (or id)
+function groupByApp(listing) {
+    assert.strictEqual(typeof listing, 'object');
+
+    var apps = listing.apps.map(function (app) {
+        var dir = path.dirname(app.path);
+        return { key: app.location || app.id, app: app, prefix: dir === '.' ? '' : dir + '/' };
+    }).sort(function (a, b) { return b.prefix.length - a.prefix.length; });
+
+    var groups = {};
+
+    listing.entries.forEach(function (entry) {
+        var owner = apps.filter(function (a) { return entry.path.indexOf(a.prefix) === 0; })[0];
+        var key = owner ? owner.key : BOX;
+
+        if (!groups[key]) groups[key] = { app: owner ? owner.app : null, entries: {} };
+        groups[key].entries[owner ? entry.path.slice(owner.prefix.length) : entry.path] = entry;
+    });
+
+    return groups;
+}
+
+function isModified(a, b) {
+    if (a.type !== b.type || a.size !== b.size) return true;
+    if (a.type === 'directory') return false; // the mtime of directories changes with every file in them
+
+    return new Date(a.mtime).getTime() !== new Date(b.mtime).getTime();
+}
+
+// compares two sets of groups by entry path, size and mtime. returns an array of
+// { app, id, versionA, versionB, added, removed, modified } with an element for every app that changed
+function diff(groupsA, groupsB) {
+    assert.strictEqual(typeof groupsA, 'object');
+    assert.strictEqual(typeof groupsB, 'object');
+
+    var keys = Object.keys(groupsA).concat(Object.keys(groupsB).filter(function (key) { return !groupsA[key]; })).sort();
+
+    return keys.map(function (key) {
+        var a = groupsA[key] || { app: null, entries: {} }, b = groupsB[key] || { app: null, entries: {} };
+        var app = b.app || a.app;
+        var result = {
+            app: key,
+            id: app ? app.id : null,
+            versionA: a.app ? a.app.version : null,
+            versionB: b.app ? b.app.version : null,
+            added: [],
+            removed: [],
+            modified: []
+        };
+
+        Object.keys(b.entries).sort().forEach(function (entryPath) {
+            if (!a.entries[entryPath]) result.added.push(entryPath);
+        });
+
+        Object.keys(a.entries).sort().forEach(function (entryPath) {
+            var entryA = a.entries[entryPath], entryB = b.entries[entryPath];
+
+            if (!entryB) return result.removed.push(entryPath);
+
+            if (isModified(entryA, entryB)) {
+                result.modified.push({ path: entryPath, sizeA: entryA.size, sizeB: entryB.size, mtimeA: entryA.mtime, mtimeB: entryB.mtime });
+            }
+        });
+
+        return result;
+    }).filter(function (result) {
+        return result.added.length || result.removed.length || result.modified.length || result.versionA !== result.versionB;
+    });
+}
@@ -0,0 +1,189 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    config = require('../config.js'),
+    crypto = require('crypto'),
+    decrypt = require('./decrypt.js'),
+    fs = require('fs'),
+    helper = require('../helper.js'),
+    http = require('http'),
+    https = require('https'),
+    path = require('path'),
+    ProgressBar = require('progress'),
+    safe = require('safetydance'),
+    superagent = require('superagent'),
+    url = require('url'),
+    util = require('util');
+
+exports = module.exports = {
+    download: download,
+    verify: verify,
+    writeChecksum: writeChecksum,
+    checksumFilePath: checksumFilePath,
+
+    // this is used by the tests
+    downloadPart: downloadPart
+};
+
+// sidecar file in the format of sha256sum, so that 'sha256sum -c' works as well
+function checksumFilePath(filePath) {
+    return filePath + '.sha256';
+}
+
+function sha256(filePath, callback) {
+    var hash = crypto.createHash('sha256');
+
+    fs.createReadStream(filePath).on('data', function (data) {
+        hash.update(data);
+    }).on('error', callback).on('end', function () {
+        callback(null, hash.digest('hex'));
+    });
+}
+
+function writeChecksum(filePath, callback) {
+    assert.strictEqual(typeof filePath, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    sha256(filePath, function (error, checksum) {
+        if (error) return callback(error);
+
+        fs.writeFile(checksumFilePath(filePath), checksum + '  ' + path.basename(filePath) + '\n', callback);
+    });
+}
+
+// calls back with an error if the checksum is missing or does not match
+function verify(filePath, callback) {
+    assert.strictEqual(typeof filePath, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var expected = safe.fs.readFileSync(checksumFilePath(filePath), 'utf8');
+    if (!expected) return callback(new Error(util.format('No checksum file %s', checksumFilePath(filePath))));
+    if (!fs.existsSync(filePath)) return callback(new Error(util.format('%s does not exist', filePath)));
+
+    sha256(filePath, function (error, checksum) {
+        if (error) return callback(error);
+        if (checksum !== expected.split(' ')[0]) return callback(new Error(util.format('Checksum mismatch for %s', filePath)));
+
+        callback(null, checksum);
+    });
+}
+
+function getDownloadUrl(id, callback) {
+    helper.superagentEnd(function () {
+        return superagent
+            .post(helper.createUrl('/api/v1/backups/' + id + '/download_url'))
+            .query({ access_token: config.token() });
+    }, function (error, result) {
+        if (error) return callback(error);
+        if (result.statusCode !== 200) return callback(new Error(util.format('Failed to get download url of backup %s.', id, result.statusCode, result.text)));
+
+        callback(null, result.body);
+    });
+}
+
+// downloads into partFilePath. an existing partial download is resumed with an http range request
+function downloadPart(downloadUrl, partFilePath, showProgress, callback) {
+    var offset = fs.existsSync(partFilePath) ? fs.statSync(partFilePath).size : 0;
+    var called = false;
+
+    // the request, response and file stream can all fail
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error);
+    }
+
+    var options = url.parse(downloadUrl);
+
+    options.headers = offset ? { Range: 'bytes=' + offset + '-' } : {};
+
+    var req = (options.protocol === 'http:' ? http : https).get(options, function (res) {
+        if (res.statusCode === 416) { // range not satisfiable, the part is complete
+            res.resume();
+            return done(null);
+        }
+
+        if (res.statusCode !== 200 && res.statusCode !== 206) {
+            res.resume();
+            return done(new Error(util.format('Failed to download backup. Status code %s', res.statusCode)));
+        }
+
+        if (res.statusCode === 200) offset = 0; // the server does not support ranges, start over
+
+        var total = offset + parseInt(res.headers['content-length'], 10);
+        var written = offset;
+
+        if (offset) console.log('Resuming download at %s of %s bytes', offset, total);
+
+        var bar = showProgress && total ? new ProgressBar('[:bar] :percent: :etas', { complete: '=', incomplete: ' ', width: 100, total: total }) : null;
+        if (bar) bar.update(offset / total);
+
+        var outstream = fs.createWriteStream(partFilePath, { flags: offset ? 'a' : 'w' });
+
+        res.on('data', function (data) {
+            written += data.length;
+            if (bar) bar.update(written / total);
+        });
+
+        res.on('error', function (error) {
+            done(new Error(util.format('Download interrupted: %s. Run the command again to resume.', error.message)));
+        });
+
+        outstream.on('error', function (error) {
+            done(new Error('Error saving backup: ' + error.message));
+        });
+
+        outstream.on('finish', function () {
+            if (total && written !== total) return done(new Error(util.format('Download incomplete (%s of %s bytes). Run the command again to resume.', written, total)));
+
+            done(null);
+        });
+
+        res.pipe(outstream);
+    });
+
+    req.on('error', function (error) {
+        done(new Error(util.format('Download interrupted: %s. Run the command again to resume.', error.message)));
+    });
+}
+
+// downloads the backup to filePath and writes the checksum file. the encrypted data is kept in filePath.part until
+// the download is complete, so that an interrupted download can be resumed
+function download(id, filePath, options, callback) {
+    assert.strictEqual(typeof id, 'string');
+    assert.strictEqual(typeof filePath, 'string');
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof callback, 'function');
+
+    var partFilePath = filePath + '.part';
+
+    if (fs.existsSync(filePath) && fs.existsSync(checksumFilePath(filePath)) && !fs.existsSync(partFilePath)) {
+        console.log('%s is already downloaded. Use --verify to check it.', filePath);
+        return callback(null);
+    }
+
+    getDownloadUrl(id, function (error, result) {
+        if (error) return callback(error);
+
+        downloadPart(result.url, partFilePath, !!options.progress, function (error) {
+            if (error) return callback(error);
+
+            function done(error) {
+                if (error) return callback(error);
+
+                writeChecksum(filePath, callback);
+            }
+
+            if (!options.decrypt) return fs.rename(partFilePath, filePath, done);
+
+            decrypt.decryptFile(partFilePath, filePath, result.backupKey, function (error) {
+                if (error) return callback(error);
+
+                fs.unlink(partFilePath, done);
+            });
+        });
+    });
+}
@@ -0,0 +1,86 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    fs = require('fs'),
+    path = require('path'),
+    safe = require('safetydance'),
+    util = require('util');
+
+exports = module.exports = {
+    MANIFEST_FILE: 'cloudron-backups.json',
+
+    lock: lock,
+    readManifest: readManifest,
+    writeManifest: writeManifest,
+    select: select
+};
+
+var LOCK_FILE = '.cloudron-backups.lock';
+
+// only one sync may run per directory, so that overlapping cron runs do not download the same files. a lock of a
+// process which is gone is taken over. the lock is released when the process exits
+function lock(dir) {
+    assert.strictEqual(typeof dir, 'string');
+
+    var lockFile = path.join(dir, LOCK_FILE);
+    var fd;
+
+    try {
+        fd = fs.openSync(lockFile, 'wx');
+    } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        var pid = parseInt(safe.fs.readFileSync(lockFile, 'utf8'), 10);
+        if (pid && safe(function () { return process.kill(pid, 0); })) throw new Error(util.format('Another sync (pid %s) is running in %s', pid, dir));
+
+        fs.unlinkSync(lockFile);
+        fd = fs.openSync(lockFile, 'wx');
+    }
+
+    fs.writeSync(fd, String(process.pid));
+    fs.closeSync(fd);
+
+    process.on('exit', function () { safe.fs.unlinkSync(lockFile); });
+}
+
+function readManifest(dir) {
+    assert.strictEqual(typeof dir, 'string');
+
+    var manifestFile = path.join(dir, exports.MANIFEST_FILE);
+    if (!fs.existsSync(manifestFile)) return { backups: {} };
+
+    var manifest = safe.JSON.parse(safe.fs.readFileSync(manifestFile, 'utf8'));
+    if (!manifest || typeof manifest.backups !== 'object') throw new Error(util.format('%s is corrupt', manifestFile));
+
+    return manifest;
+}
+
+// written to a temporary file first, so that an interrupted sync does not leave a truncated manifest
+function writeManifest(dir, manifest) {
+    assert.strictEqual(typeof dir, 'string');
+    assert.strictEqual(typeof manifest, 'object');
+
+    var manifestFile = path.join(dir, exports.MANIFEST_FILE);
+
+    fs.writeFileSync(manifestFile + '.tmp', JSON.stringify(manifest, null, 4));
+    fs.renameSync(manifestFile + '.tmp', manifestFile);
+}
+
+// returns the ids of the newest keep backups and the backups they depend on. all backups are selected without keep
+function select(backups, keep) {
+    assert(Array.isArray(backups));
+    assert(!keep || typeof keep === 'number');
+
+    var sorted = backups.slice().sort(function (a, b) { return new Date(b.creationTime) - new Date(a.creationTime); });
+    var ids = [];
+
+    sorted.slice(0, keep || sorted.length).forEach(function (backup) {
+        [ backup.id ].concat(backup.dependsOn || []).forEach(function (id) {
+            if (ids.indexOf(id) === -1) ids.push(id);
+        });
+    });
+
+    return ids;
+}
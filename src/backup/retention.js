@@ -0,0 +1,74 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    util = require('util');
+
+exports = module.exports = {
+    plan: plan
+};
+
+function pad(n) {
+    return n < 10 ? '0' + n : String(n);
+}
+
+// iso 8601 week, so that a week always starts on monday
+function weekKey(date) {
+    var thursday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 3 - (date.getUTCDay() + 6) % 7));
+    var firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+    var week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + (firstThursday.getUTCDay() + 6) % 7) / 7);
+
+    return thursday.getUTCFullYear() + '-W' + pad(week);
+}
+
+var PERIODS = [
+    { option: 'daily', key: function (date) { return date.toISOString().slice(0, 10); } },
+    { option: 'weekly', key: weekKey },
+    { option: 'monthly', key: function (date) { return date.toISOString().slice(0, 7); } }
+];
+
+// backups is an array of { id, creationTime, dependsOn }. policy is { daily, weekly, monthly } with the number of
+// periods to keep. the newest backup of a period is kept. backups that a kept backup depends on are always kept.
+// returns an array of { backup, keep, reason } sorted from new to old
+function plan(backups, policy) {
+    assert(Array.isArray(backups));
+    assert.strictEqual(typeof policy, 'object');
+
+    var sorted = backups.slice().sort(function (a, b) { return new Date(b.creationTime) - new Date(a.creationTime); });
+    var reasons = {};
+
+    PERIODS.forEach(function (period) {
+        var count = policy[period.option] || 0;
+        var seen = {};
+
+        sorted.forEach(function (backup) {
+            var key = period.key(new Date(backup.creationTime));
+            if (seen[key] || Object.keys(seen).length >= count) return;
+
+            seen[key] = true;
+            (reasons[backup.id] = reasons[backup.id] || []).push(period.option + ' ' + key);
+        });
+    });
+
+    // keep the dependencies of kept backups, and their dependencies in turn
+    var byId = {};
+    sorted.forEach(function (backup) { byId[backup.id] = backup; });
+
+    var queue = Object.keys(reasons);
+
+    function keepDependencies(backup) {
+        (backup.dependsOn || []).forEach(function (id) {
+            if (reasons[id]) return;
+
+            reasons[id] = [ util.format('required by %s', backup.id) ];
+            if (byId[id]) queue.push(id);
+        });
+    }
+
+    while (queue.length) keepDependencies(byId[queue.shift()]);
+
+    return sorted.map(function (backup) {
+        return { backup: backup, keep: !!reasons[backup.id], reason: reasons[backup.id] ? reasons[backup.id].join(', ') : '' };
+    });
+}
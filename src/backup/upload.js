@@ -0,0 +1,48 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    aws = require('../machine/aws.js'),
+    decrypt = require('./decrypt.js'),
+    filesystem = require('../machine/filesystem.js'),
+    fs = require('fs'),
+    util = require('util');
+
+exports = module.exports = {
+    upload: upload
+};
+
+// uploads a backup to the backup storage of a cloudron, so that the cloudron can restore or clone from it. backupConfig
+// is the one of /api/v1/settings/backup_config. the backup is encrypted with its key like the backups of the cloudron.
+// filesystem backups are copied over ssh to options.backupHost
+function upload(backupConfig, backupId, filePath, options, callback) {
+    assert.strictEqual(typeof backupConfig, 'object');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof filePath, 'string');
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof callback, 'function');
+
+    if (backupConfig.provider !== 's3' && backupConfig.provider !== 'filesystem') return callback(new Error(util.format('Backups of the %s provider cannot be uploaded', backupConfig.provider)));
+
+    var input = fs.createReadStream(filePath), stream = input;
+    if (backupConfig.key) {
+        stream = input.pipe(decrypt.createEncryptStream(backupConfig.key));
+        input.on('error', function (error) { stream.emit('error', error); });
+    }
+
+    if (backupConfig.provider === 'filesystem') {
+        return filesystem.upload(options.backupHost, options.sshKey || null, backupConfig.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER, backupId, stream, callback);
+    }
+
+    aws.init({
+        region: backupConfig.region,
+        accessKeyId: backupConfig.accessKeyId,
+        secretAccessKey: backupConfig.secretAccessKey,
+        // s3 compatible storage like minio is addressed by path
+        endpoint: backupConfig.endpoint,
+        s3ForcePathStyle: !!backupConfig.endpoint
+    });
+
+    aws.uploadBackup(backupConfig.bucket, backupConfig.prefix, backupId, stream, callback);
+}
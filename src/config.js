@@ -2,9 +2,11 @@
 
 'use strict';
 
-var fs = require('fs'),
+var credentials = require('./credentials.js'),
+    fs = require('fs'),
     path = require('path'),
     safe = require('safetydance'),
+    url = require('url'),
     _ = require('underscore');
 
 exports = module.exports = {
@@ -14,6 +16,19 @@ exports = module.exports = {
     unset: unset,
     has: has,
 
+    // profiles
+    activeProfile: activeProfile,
+    selectProfile: selectProfile,
+    useProfile: useProfile,
+    findProfile: findProfile,
+    profiles: profiles,
+    removeProfile: removeProfile,
+    profileToken: profileToken,
+
+    // credentials
+    credentialStore: credentialStore,
+    useCredentialStore: useCredentialStore,
+
     // convenience
     token: function () { return get('token'); },
     appStoreToken: function () { return get('appStoreToken'); },
@@ -25,6 +40,13 @@ exports = module.exports = {
 
 var HOME = process.env.HOME || process.env.HOMEPATH || process.env.USERPROFILE;
 var CONFIG_FILE_PATH = path.join(HOME, '.cloudron.json');
+var CREDENTIALS_FILE_PATH = path.join(HOME, '.cloudron.credentials');
+
+// these keys are stored per profile, everything else is shared
+var PROFILE_KEYS = [ 'cloudron', 'apiEndpoint', 'provider', 'token' ];
+
+// these keys are kept in the credential store
+var SECRET_KEYS = [ 'token', 'appStoreToken' ];
 
 var gConfig = (function () {
     var c = safe.JSON.parse(safe.fs.readFileSync(CONFIG_FILE_PATH)) || {};
@@ -36,33 +58,226 @@ var gConfig = (function () {
         c.appStoreOrigin = 'https://api.cloudron.io';
     }
 
+    if (!c.profiles) c.profiles = {};
+
+    // migrate the single cloudron config of older versions into a profile named after the cloudron
+    if (c.cloudron) {
+        c.profiles[c.cloudron] = _.pick(c, PROFILE_KEYS);
+        c.currentProfile = c.currentProfile || c.cloudron;
+        c = _.omit(c, PROFILE_KEYS);
+    }
+
     return c;
 })();
 
+// profile selected for this process only (e.g by detectCloudronApiEndpoint)
+var gSelectedProfile = null;
+
+var gCredentialStore = null;
+
 function save() {
-    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(gConfig, null, 4));
+    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(gConfig, null, 4), { mode: credentials.SECRET_FILE_MODE });
+    fs.chmodSync(CONFIG_FILE_PATH, credentials.SECRET_FILE_MODE); // mode is only applied when the file is created
+}
+
+// the 'config' store keeps the tokens in the config file itself
+var configStore = {
+    get: function (key) {
+        if (key.name === 'appstore') return gConfig.appStoreToken;
+        return gConfig.profiles[key.username] ? gConfig.profiles[key.username].token : undefined;
+    },
+    set: function (key, value) {
+        if (key.name === 'appstore') gConfig.appStoreToken = value;
+        else gConfig.profiles[key.username].token = value;
+        save();
+    },
+    unset: function (key) {
+        if (key.name === 'appstore') delete gConfig.appStoreToken;
+        else if (gConfig.profiles[key.username]) delete gConfig.profiles[key.username].token;
+        save();
+    }
+};
+
+// tokens are kept in the config file unless the encrypted file or a helper was chosen with profile credential-store
+function credentialStore() {
+    return gConfig.credentialStore || { type: 'config' };
+}
+
+function createCredentialStore(options) {
+    if (options.type === 'helper') return credentials.helperStore(options.command);
+    if (options.type !== 'file') return configStore;
+
+    return credentials.fileStore(CREDENTIALS_FILE_PATH, function () {
+        // required here, since the helper module requires this module
+        return process.env.CLOUDRON_PASSPHRASE || require('./helper.js').question('Passphrase for ' + CREDENTIALS_FILE_PATH + ': ', 'CLOUDRON_PASSPHRASE', { noEchoBack: true });
+    });
+}
+
+function secretKey(key, profile) {
+    if (key === 'appStoreToken') return { name: 'appstore', host: url.parse(gConfig.appStoreOrigin).host, username: 'appstore' };
+
+    return { name: 'profile/' + profile, host: gConfig.profiles[profile].cloudron || profile, username: profile };
+}
+
+// all credentials which are set in the given store
+function storedSecrets(store) {
+    var keys = Object.keys(gConfig.profiles).map(function (name) { return secretKey('token', name); });
+    keys.push(secretKey('appStoreToken'));
+
+    return keys.map(function (key) { return { key: key, value: store.get(key) }; }).filter(function (secret) { return !!secret.value; });
+}
+
+// errors of the credential store end the process. the callers of config.token() cannot handle them
+function secretStore(func) {
+    try {
+        if (!gCredentialStore) gCredentialStore = createCredentialStore(credentialStore());
+
+        return func(gCredentialStore);
+    } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+    }
+}
+
+// moves all tokens into the new store. this is also how plaintext tokens of the config file get encrypted
+function useCredentialStore(options) {
+    var secrets = secretStore(storedSecrets);
+    var store = createCredentialStore(options);
+
+    secretStore(function (oldStore) {
+        secrets.forEach(function (secret) {
+            store.set(secret.key, secret.value);
+            oldStore.unset(secret.key);
+        });
+    });
+
+    gCredentialStore = store;
+    if (options.type === 'config') delete gConfig.credentialStore;
+    else gConfig.credentialStore = options;
+    save();
 }
 
 function clear() {
     safe.fs.unlinkSync(CONFIG_FILE_PATH);
 }
 
+function isProfileKey(key) {
+    return PROFILE_KEYS.indexOf(key) !== -1;
+}
+
+// precedence: selected in this process, --cloudron/CLOUDRON_PROFILE, last used profile
+function activeProfile() {
+    return gSelectedProfile || process.env.CLOUDRON_PROFILE || gConfig.currentProfile || null;
+}
+
+function currentProfileConfig(create) {
+    var name = activeProfile();
+    if (!name) {
+        if (!create) return null;
+
+        // required here, since the helper module requires this module
+        require('./helper.js').exit('No profile selected. Use cloudron login or --cloudron <profile>.');
+    }
+
+    if (!gConfig.profiles[name] && create) gConfig.profiles[name] = {};
+
+    return gConfig.profiles[name] || null;
+}
+
+function selectProfile(name) {
+    gSelectedProfile = name;
+}
+
+function useProfile(name) {
+    gSelectedProfile = name;
+    gConfig.currentProfile = name;
+    if (!gConfig.profiles[name]) gConfig.profiles[name] = {};
+    save();
+}
+
+function findProfile(cloudron) {
+    var names = Object.keys(gConfig.profiles).filter(function (name) { return gConfig.profiles[name].cloudron === cloudron; });
+
+    // prefer the active profile if multiple profiles point to the same cloudron
+    if (names.indexOf(activeProfile()) !== -1) return activeProfile();
+
+    return names[0] || null;
+}
+
+function profiles() {
+    return _.clone(gConfig.profiles);
+}
+
+function profileToken(name) {
+    if (!gConfig.profiles[name]) return undefined;
+
+    return secretStore(function (store) { return store.get(secretKey('token', name)); });
+}
+
+function removeProfile(name) {
+    if (profileToken(name)) secretStore(function (store) { store.unset(secretKey('token', name)); });
+
+    delete gConfig.profiles[name];
+    if (gConfig.currentProfile === name) delete gConfig.currentProfile;
+    if (gSelectedProfile === name) gSelectedProfile = null;
+    save();
+}
+
 function set(key, value) {
     if (typeof key === 'object') {
-        _.extend(gConfig, key);
+        _.extend(currentProfileConfig(true), _.omit(_.pick(key, PROFILE_KEYS), SECRET_KEYS));
+        _.extend(gConfig, _.omit(key, PROFILE_KEYS.concat(SECRET_KEYS)));
+        _.each(_.pick(key, SECRET_KEYS), function (value, secret) { set(secret, value); });
+    } else if (SECRET_KEYS.indexOf(key) !== -1) {
+        if (key === 'token' && process.env.CLOUDRON_TOKEN) return; // CLOUDRON_TOKEN is only used, never stored
+        if (key === 'token') currentProfileConfig(true); // tokens are stored per profile
+        return secretStore(function (store) { store.set(secretKey(key, activeProfile()), value); });
+    } else if (isProfileKey(key)) {
+        currentProfileConfig(true)[key] = value;
     } else {
         safe.set(gConfig, key, value);
     }
     save();
 }
 
+function getSecret(key) {
+    if (key === 'token' && !currentProfileConfig(false)) return undefined;
+
+    return secretStore(function (store) { return store.get(secretKey(key, activeProfile())); });
+}
+
 function get(key) {
+    if (SECRET_KEYS.indexOf(key) !== -1) {
+        // the credential store is not opened at all with CLOUDRON_TOKEN, so that it works without a passphrase
+        if (key === 'token' && process.env.CLOUDRON_TOKEN) return process.env.CLOUDRON_TOKEN;
+
+        return getSecret(key);
+    }
+
+    if (isProfileKey(key)) {
+        var profile = currentProfileConfig(false);
+        return profile ? profile[key] : undefined;
+    }
+
     return safe.query(gConfig, key);
 }
 
+function unsetSecret(key) {
+    if (getSecret(key) === undefined) return;
+
+    secretStore(function (store) { store.unset(secretKey(key, activeProfile())); });
+}
+
 function unset(key /*, .... */) {
     for (var i = 0; i < arguments.length; i++) {
-        gConfig = safe.unset(gConfig, arguments[i]);
+        if (SECRET_KEYS.indexOf(arguments[i]) !== -1) {
+            unsetSecret(arguments[i]);
+        } else if (isProfileKey(arguments[i])) {
+            var profile = currentProfileConfig(false);
+            if (profile) delete profile[arguments[i]];
+        } else {
+            gConfig = safe.unset(gConfig, arguments[i]);
+        }
     }
 
     save();
@@ -70,7 +285,13 @@ function unset(key /*, .... */) {
 
 function has(key /*, ... */) {
     for (var i = 0; i < arguments.length; i++) {
-        if (!(arguments[i] in gConfig)) return false;
+        if (SECRET_KEYS.indexOf(arguments[i]) !== -1) {
+            if (get(arguments[i]) === undefined) return false;
+            continue;
+        }
+
+        var obj = isProfileKey(arguments[i]) ? currentProfileConfig(false) : gConfig;
+        if (!obj || !(arguments[i] in obj)) return false;
     }
     return true;
 }
@@ -0,0 +1,116 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    crypto = require('crypto'),
+    fs = require('fs'),
+    safe = require('safetydance'),
+    spawnSync = require('child_process').spawnSync;
+
+exports = module.exports = {
+    STORES: [ 'config', 'file', 'helper' ],
+
+    fileStore: fileStore,
+    helperStore: helperStore,
+
+    SECRET_FILE_MODE: parseInt('0600', 8)
+};
+
+// A credential store has get(key), set(key, value) and unset(key). key is { name, host, username }. name identifies
+// the credential, host and username are the attributes passed to git credential helpers.
+// Errors are thrown, since tokens are read synchronously via config.token()
+
+// tokens encrypted with AES-256-GCM. the key is derived from a passphrase, which is only asked for when needed
+function fileStore(filePath, getPassphrase) {
+    assert.strictEqual(typeof filePath, 'string');
+    assert.strictEqual(typeof getPassphrase, 'function');
+
+    var gKey = null, gCredentials = null;
+
+    function deriveKey(salt) {
+        return crypto.pbkdf2Sync(getPassphrase(), salt, 100000, 32, 'sha256');
+    }
+
+    function load() {
+        if (gCredentials) return gCredentials;
+
+        var data = safe.JSON.parse(safe.fs.readFileSync(filePath, 'utf8'));
+        if (!data) {
+            gCredentials = {};
+            return gCredentials;
+        }
+
+        gKey = { salt: Buffer.from(data.salt, 'base64') };
+        gKey.key = deriveKey(gKey.salt);
+
+        var decipher = crypto.createDecipheriv('aes-256-gcm', gKey.key, Buffer.from(data.iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(data.tag, 'base64'));
+
+        var plaintext = safe(function () { return Buffer.concat([ decipher.update(Buffer.from(data.data, 'base64')), decipher.final() ]); });
+        if (!plaintext) throw new Error('Unable to decrypt ' + filePath + '. Wrong passphrase?');
+
+        gCredentials = JSON.parse(plaintext.toString('utf8'));
+        return gCredentials;
+    }
+
+    function save() {
+        if (!gKey) {
+            gKey = { salt: crypto.randomBytes(16) };
+            gKey.key = deriveKey(gKey.salt);
+        }
+
+        var iv = crypto.randomBytes(12);
+        var cipher = crypto.createCipheriv('aes-256-gcm', gKey.key, iv);
+        var encrypted = Buffer.concat([ cipher.update(JSON.stringify(gCredentials), 'utf8'), cipher.final() ]);
+
+        var data = {
+            version: 1,
+            salt: gKey.salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: encrypted.toString('base64')
+        };
+
+        fs.writeFileSync(filePath, JSON.stringify(data, null, 4), { mode: exports.SECRET_FILE_MODE });
+        fs.chmodSync(filePath, exports.SECRET_FILE_MODE); // mode is only applied when the file is created
+    }
+
+    return {
+        get: function (key) { return load()[key.name]; },
+        set: function (key, value) { load()[key.name] = value; save(); },
+        unset: function (key) {
+            if (!(key.name in load())) return;
+            delete gCredentials[key.name];
+            save();
+        }
+    };
+}
+
+// uses the git credential helper protocol. the command is called with get, store or erase and the key value
+// pairs on stdin. the token is passed as password
+function helperStore(command) {
+    assert.strictEqual(typeof command, 'string');
+
+    function run(action, attributes) {
+        var input = Object.keys(attributes).map(function (name) { return name + '=' + attributes[name]; }).join('\n') + '\n\n';
+
+        var result = spawnSync('/bin/sh', [ '-c', command + ' ' + action ], { input: input, stdio: [ 'pipe', 'pipe', 'inherit' ] });
+        if (result.error) throw new Error('Failed to run credential helper ' + command + ': ' + result.error.message);
+        if (result.status !== 0) throw new Error('Credential helper ' + command + ' ' + action + ' failed with code ' + result.status);
+
+        var output = {};
+        result.stdout.toString('utf8').split('\n').forEach(function (line) {
+            var index = line.indexOf('=');
+            if (index > 0) output[line.slice(0, index)] = line.slice(index + 1);
+        });
+
+        return output;
+    }
+
+    return {
+        get: function (key) { return run('get', { protocol: 'https', host: key.host, username: key.username }).password; },
+        set: function (key, value) { run('store', { protocol: 'https', host: key.host, username: key.username, password: value }); },
+        unset: function (key) { run('erase', { protocol: 'https', host: key.host, username: key.username }); }
+    };
+}
@@ -0,0 +1,141 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    http = require('http'),
+    path = require('path'),
+    querystring = require('querystring'),
+    safe = require('safetydance'),
+    split = require('split'),
+    tar = require('tar-fs'),
+    util = require('util');
+
+exports = module.exports = {
+    socketPath: socketPath,
+    registryAuth: registryAuth,
+
+    build: build,
+    push: push
+};
+
+var DEFAULT_SOCKET_PATH = '/var/run/docker.sock';
+var DOCKER_HUB_ADDRESS = 'https://index.docker.io/v1/';
+var DOCKER_HUB_HOSTS = [ 'docker.io', 'index.docker.io', 'registry-1.docker.io' ];
+
+function socketPath() {
+    var dockerHost = process.env.DOCKER_HOST || '';
+
+    if (dockerHost.indexOf('unix://') === 0) return dockerHost.slice('unix://'.length);
+
+    return DEFAULT_SOCKET_PATH;
+}
+
+// returns the X-Registry-Auth value for the registry, using the credentials of 'docker login'
+function registryAuth(registry) {
+    assert.strictEqual(typeof registry, 'string');
+
+    var home = process.env.HOME || process.env.HOMEPATH || process.env.USERPROFILE;
+    var dockerConfig = safe.JSON.parse(safe.fs.readFileSync(path.join(home, '.docker/config.json'), 'utf8')) || {};
+    var auths = dockerConfig.auths || {};
+
+    // images without a registry host are on the docker hub, which docker login stores as DOCKER_HUB_ADDRESS
+    var host = registry.split('/')[0];
+    var isDockerHub = DOCKER_HUB_HOSTS.indexOf(host) !== -1 || (host.indexOf('.') === -1 && host.indexOf(':') === -1 && host !== 'localhost');
+    var serveraddress = isDockerHub ? DOCKER_HUB_ADDRESS : host;
+
+    var entry = isDockerHub ? auths[DOCKER_HUB_ADDRESS] : (auths[host] || auths['https://' + host] || auths['https://' + host + '/v1/']);
+
+    var auth = { serveraddress: serveraddress };
+
+    if (entry && entry.auth) {
+        var credentials = Buffer.from(entry.auth, 'base64').toString('utf8');
+        auth.username = credentials.slice(0, credentials.indexOf(':'));
+        auth.password = credentials.slice(credentials.indexOf(':') + 1);
+    }
+
+    return Buffer.from(JSON.stringify(auth)).toString('base64');
+}
+
+// the docker api streams progress as json messages. messages with an error property fail the request
+function request(options, body, onMessage, callback) {
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof onMessage, 'function');
+    assert.strictEqual(typeof callback, 'function');
+
+    var failed = null;
+
+    var req = http.request({
+        socketPath: options.socketPath,
+        method: 'POST',
+        path: options.path,
+        headers: options.headers || {}
+    }, function (res) {
+        if (res.statusCode !== 200) {
+            var text = '';
+            res.setEncoding('utf8');
+            res.on('data', function (data) { text += data; });
+            res.on('end', function () { callback(new Error(util.format('Docker error %s: %s', res.statusCode, text.trim()))); });
+            return;
+        }
+
+        res.pipe(split()).on('data', function (line) {
+            if (!line.trim()) return;
+
+            var message = safe.JSON.parse(line);
+            if (!message) return;
+
+            if (message.error) failed = new Error(message.error);
+
+            onMessage(message);
+        }).on('end', function () {
+            callback(failed);
+        });
+    });
+
+    req.on('error', function (error) {
+        callback(new Error(util.format('Cannot connect to docker at %s: %s', options.socketPath, error.message)));
+    });
+
+    if (body) body.pipe(req);
+    else req.end();
+}
+
+// builds the sourceDir and tags the image. ignore is called with paths relative to sourceDir (see helper.dockerignoreMatcher)
+function build(options, onMessage, callback) {
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof options.sourceDir, 'string');
+    assert.strictEqual(typeof options.tag, 'string');
+    assert.strictEqual(typeof options.ignore, 'function');
+
+    var sourceDir = options.sourceDir;
+
+    var context = tar.pack(sourceDir, {
+        ignore: function (name) {
+            return options.ignore(name.slice(sourceDir.length + 1)); // make name as relative path
+        }
+    });
+
+    var query = { t: options.tag, nocache: options.noCache ? '1' : '0', rm: '1' };
+
+    request({
+        socketPath: options.socketPath || socketPath(),
+        path: '/build?' + querystring.stringify(query),
+        headers: { 'Content-Type': 'application/x-tar' }
+    }, context, onMessage, callback);
+}
+
+// image is of the form registry/name:tag
+function push(options, onMessage, callback) {
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof options.image, 'string');
+
+    var index = options.image.lastIndexOf(':');
+    var name = options.image.slice(0, index), tag = options.image.slice(index + 1);
+
+    request({
+        socketPath: options.socketPath || socketPath(),
+        path: '/images/' + name + '/push?' + querystring.stringify({ tag: tag }),
+        headers: { 'X-Registry-Auth': options.auth || registryAuth(name) }
+    }, null, onMessage, callback);
+}
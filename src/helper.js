@@ -4,7 +4,9 @@
 
 var assert = require('assert'),
     config = require('./config.js'),
+    decryptBackup = require('./backup/decrypt.js'),
     fs = require('fs'),
+    micromatch = require('micromatch'),
     path = require('path'),
     ProgressBar = require('progress'),
     ProgressStream = require('progress-stream'),
@@ -19,8 +21,14 @@ exports = module.exports = {
     exit: exit,
     missing: missing,
 
+    isInteractive: isInteractive,
+    question: question,
+
     locateManifest: locateManifest,
+    dockerignoreMatcher: dockerignoreMatcher,
     getAppStoreId: getAppStoreId,
+    appDomain: appDomain,
+    matchApp: matchApp,
     verifyArguments: verifyArguments,
 
     addBuild: addBuild,
@@ -61,6 +69,21 @@ function missing(argument) {
     exit('You must specify --' + argument);
 }
 
+// --non-interactive sets CLOUDRON_NON_INTERACTIVE, so that it also applies to subcommands
+function isInteractive() {
+    return !process.env.CLOUDRON_NON_INTERACTIVE && !!process.stdin.isTTY;
+}
+
+// input names the flag or env var which has to be used instead of the prompt in non-interactive mode
+function question(query, input, options) {
+    assert.strictEqual(typeof query, 'string');
+    assert.strictEqual(typeof input, 'string');
+
+    if (!isInteractive()) exit('Missing input %s. Cannot prompt in non-interactive mode.', input);
+
+    return readlineSync.question(query, options || {});
+}
+
 function locateManifest() {
     var curdir = process.cwd();
     do {
@@ -75,6 +98,29 @@ function locateManifest() {
     return null;
 }
 
+function dockerignoreMatcher(dockerignorePath) {
+    var patterns = [];
+
+    if (fs.existsSync(dockerignorePath)) {
+        patterns = fs.readFileSync(dockerignorePath, 'utf8').split('\n');
+
+        patterns = patterns.filter(function (line) { return line[0] !== '#'; });
+        patterns = patterns.map(function (line) {
+            var l = line.trim();
+
+            while (l[0] === '/') l = l.slice(1);
+            while (l[l.length-1] === '/') l = l.slice(0, -1);
+
+            return l;
+        });
+        patterns = patterns.filter(function (line) { return line.length !== 0; });
+    }
+
+    return function ignore(path) {
+        return micromatch([ path ], patterns, { dot: true }).length == 1;
+    };
+}
+
 // the app argument allows us in the future to get by name or id
 function getAppStoreId(appId, callback) {
     if (appId) return callback(null, appId);
@@ -89,6 +135,40 @@ function getAppStoreId(appId, callback) {
     return callback(null, manifest.id);
 }
 
+// older Cloudrons do not return the fqdn of apps. apps of a Cloudron on a my- api endpoint use a - in the domain
+function appDomain(app) {
+    assert.strictEqual(typeof app, 'object');
+
+    if (app.fqdn) return app.fqdn;
+    if (app.location === '') return config.cloudron();
+
+    return app.location + (config.apiEndpoint().indexOf('my-') === 0 ? '-' : '.') + config.cloudron();
+}
+
+// finds the app for the --app argument, which is an app id, location, domain or the start of the title. the first
+// three have to match exactly. returns { app } or { error }
+function matchApp(apps, query) {
+    assert(Array.isArray(apps));
+    assert.strictEqual(typeof query, 'string');
+
+    var lowerQuery = query.toLowerCase();
+
+    var app = apps.filter(function (a) { return a.id === query; })[0] ||
+        apps.filter(function (a) { return a.location === query; })[0] ||
+        apps.filter(function (a) { return appDomain(a).toLowerCase() === lowerQuery; })[0];
+    if (app) return { app: app };
+
+    var matches = apps.filter(function (a) {
+        return a.manifest && a.manifest.title && a.manifest.title.toLowerCase().indexOf(lowerQuery) === 0;
+    });
+
+    if (matches.length === 0) return { error: util.format('App %s not found.', query.bold) };
+    if (matches.length === 1) return { app: matches[0] };
+
+    var names = matches.map(function (a) { return util.format('%s (%s)', a.manifest.title, appDomain(a)); });
+    return { error: util.format('%s matches %s. Use the location or domain instead.', query.bold, names.join(', ')) };
+}
+
 function verifyArguments(args) {
     if (args.length > 1) {
         console.log('Too many arguments');
@@ -156,6 +236,8 @@ function selectBuild(appId, latest, callback) {
         return callback(null, build);
     }
 
+    if (!isInteractive()) return callback(new Error('Cannot choose a build in non-interactive mode. Omit --select to use the latest build.'));
+
     console.log();
     console.log('Available builds:');
     builds.forEach(function (build, index) {
@@ -164,7 +246,7 @@ function selectBuild(appId, latest, callback) {
 
     var index = -1;
     while (true) {
-        index = parseInt(readlineSync.question('Choose build [0-' + (builds.length-1) + ']: ', {}));
+        index = parseInt(question('Choose build [0-' + (builds.length-1) + ']: ', 'build'));
         if (isNaN(index) || index < 0 || index > builds.length-1) console.log('Invalid selection'.red);
         else break;
     }
@@ -179,6 +261,8 @@ function selectUserSync(users) {
 
     if (users.length === 1) return users[0];
 
+    if (!isInteractive()) exit('Missing input user. This app can only be used by a single user. Choose one with --access-users.');
+
     console.log();
     console.log('Available users:');
     users.forEach(function (user, index) {
@@ -187,7 +271,7 @@ function selectUserSync(users) {
 
     var index = -1;
     while (true) {
-        index = parseInt(readlineSync.question('Choose user [0-' + (users.length-1) + ']: ', {}));
+        index = parseInt(question('Choose user [0-' + (users.length-1) + ']: ', 'user'));
         if (isNaN(index) || index < 0 || index > users.length-1) console.log('Invalid selection'.red);
         else break;
     }
@@ -223,6 +307,9 @@ function detectCloudronApiEndpoint(cloudron, callback) {
         if (!error && result.statusCode === 200) {
             if (!result.body.provider) console.log('WARNING provider is not set, this is most likely a bug! Falling back to caas.'.red);
 
+            // work with the profile of this cloudron without changing the default profile
+            config.selectProfile(config.findProfile(cloudron) || cloudron);
+
             config.set('apiEndpoint', apiEndpoint);
             config.set('cloudron', cloudron);
             config.set('provider', result.body.provider || 'caas');
@@ -323,13 +410,16 @@ function createUrl(api) {
 function authenticate(options, callback) {
     assert.strictEqual(typeof options, 'object');
 
-    if (!options.username && !options.password) {
+    var username = options.username || process.env.CLOUDRON_USERNAME;
+    var password = options.password || process.env.CLOUDRON_PASSWORD;
+
+    if (!username && !password && isInteractive()) {
         console.log();
         console.log('Enter credentials for ' + config.cloudron().bold + ':');
     }
 
-    var username = options.username || readlineSync.question('Username: ', {});
-    var password = options.password || readlineSync.question('Password: ', { noEchoBack: true });
+    username = username || question('Username: ', '--username or CLOUDRON_USERNAME');
+    password = password || question('Password: ', '--password or CLOUDRON_PASSWORD', { noEchoBack: true });
 
     config.unset('token');
 
@@ -339,10 +429,12 @@ function authenticate(options, callback) {
     }).end(function (error, result) {
         if (error && !error.response) exit(error);
         if (result.statusCode === 412) {
-            showDeveloperModeNotice();
+            if (!isInteractive()) exit('CLI mode is disabled. Enable it at %s.', 'https://' + config.apiEndpoint() + '/#/settings');
+            showDeveloperModeNotice(config.apiEndpoint());
             return authenticate({}, callback);
         }
         if (result.statusCode !== 200) {
+            if (!isInteractive()) exit('Login failed.');
             console.log('Login failed.'.red);
             return authenticate({}, callback);
         }
@@ -366,7 +458,14 @@ function superagentEnd(requestFactory, options, callback) {
 
     requestFactory().end(function (error, result) {
         if (error && !error.response) return callback(error);
-        if (result.statusCode === 401) return authenticate(options, superagentEnd.bind(null, requestFactory, callback));
+        if (result.statusCode === 401) {
+            if (process.env.CLOUDRON_TOKEN) exit('The token in CLOUDRON_TOKEN is invalid or expired.');
+
+            var hasCredentials = (options.username || process.env.CLOUDRON_USERNAME) && (options.password || process.env.CLOUDRON_PASSWORD);
+            if (!isInteractive() && !hasCredentials) exit(util.format('Not logged in or the token expired. Use %s or set CLOUDRON_TOKEN.', 'cloudron login --token <token>'.bold));
+
+            return authenticate(options, superagentEnd.bind(null, requestFactory, callback));
+        }
 
         callback(error, result);
     });
@@ -398,12 +497,19 @@ function waitForBackupFinish(callback) {
     })();
 }
 
-function getCloudronBackupList(callback) {
+// options may have the username and password to log in with, if the token is invalid
+function getCloudronBackupList(options, callback) {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    assert.strictEqual(typeof options, 'object');
     assert.strictEqual(typeof callback, 'function');
 
     superagentEnd(function () {
         return superagent.get(createUrl('/api/v1/backups')).query({ access_token: config.token() });
-    }, function (error, result) {
+    }, options, function (error, result) {
         if (error && !error.response) return callback(error);
         if (result.statusCode !== 200) return callback(util.format('Failed to list backups.'.red, result.statusCode, result.text));
 
@@ -429,18 +535,28 @@ function createCloudronBackup(callback) {
 }
 
 function saveBackupStream(id, outstream, decrypt, callback) {
+    var called = false;
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error);
+    }
+
     superagentEnd(function () {
         return superagent
             .post(createUrl('/api/v1/backups/' + id + '/download_url'))
             .query({ access_token: config.token() });
     }, function (error, result) {
-        if (error) callback(error);
-        if (result.statusCode !== 200) return callback(util.format('Failed to download backup.'.red, result.statusCode, result.text));
+        if (error) return done(error);
+        if (result.statusCode !== 200) return done(util.format('Failed to download backup.'.red, result.statusCode, result.text));
 
         var progress = new ProgressStream({ time: 250 });
 
         var req = superagent.get(result.body.url);
         req.on('response', function (res) {
+            if (res.statusCode !== 200) return done(util.format('Failed to download backup %s. Status code %s', id, res.statusCode));
+
             var bar = new ProgressBar('[:bar] :percent: :etas', {
                 complete: '=',
                 incomplete: ' ',
@@ -452,26 +568,30 @@ function saveBackupStream(id, outstream, decrypt, callback) {
         });
 
         if (decrypt) {
-            var cmd = 'openssl aes-256-cbc -d -pass pass:' + result.body.backupKey;
-            var openssl = spawn('sh', [ '-c', cmd ]);
+            var decryptStream = decryptBackup.createDecryptStream(result.body.backupKey);
 
-            req.pipe(progress).pipe(openssl.stdin);
+            req.pipe(progress).pipe(decryptStream).pipe(outstream);
 
-            openssl.stdout.pipe(outstream);
-            openssl.stderr.pipe(process.stderr);
+            decryptStream.on('error', function (error) {
+                done('Error decrypting backup: ' + error.message);
+            });
 
-            openssl.on('close', function (code, signal) {
-                callback(code ? 'Error downloading backup' : null);
+            decryptStream.on('end', function () {
+                done(null);
             });
         } else {
             req.pipe(progress).pipe(outstream);
             req.on('end', function () {
-                callback(null);
+                done(null);
             });
         }
 
+        req.on('error', function (error) {
+            done('Error downloading backup: ' + error.message);
+        });
+
         outstream.on('error', function (e) {
-            callback('Error saving backup: ' + e.message);
+            done('Error saving backup: ' + e.message);
         });
     });
 }
@@ -1,17 +1,22 @@
 'use strict';
 
-var assert = require('assert'),
+var archive = require('../backup/archive.js'),
+    assert = require('assert'),
     async = require('async'),
+    backupDownload = require('../backup/download.js'),
     caas = require('./caas.js'),
     config = require('../config.js'),
     ec2 = require('./ec2.js'),
+    filesystem = require('./filesystem.js'),
     fs = require('fs'),
     helper = require('../helper.js'),
+    mirror = require('../backup/mirror.js'),
     mkdirp = require('mkdirp'),
+    output = require('../output.js'),
     path = require('path'),
-    readlineSync = require('readline-sync'),
+    retention = require('../backup/retention.js'),
+    safe = require('safetydance'),
     superagent = require('superagent'),
-    Table = require('easy-table'),
     util = require('util'),
     versions = require('./versions.js');
 
@@ -22,6 +27,9 @@ exports = module.exports = {
     listBackups: listBackups,
     createBackup: createBackup,
     downloadBackup: downloadBackup,
+    pruneBackups: pruneBackups,
+    syncBackups: syncBackups,
+    verifyBackup: verifyBackup,
     eventlog: eventlog,
     logs: logs,
     ssh: ssh,
@@ -33,6 +41,14 @@ function getBackupListing(cloudron, options, callback) {
     assert.strictEqual(typeof options, 'object');
     assert.strictEqual(typeof callback, 'function');
 
+    // filesystem backups are listed over ssh. this works without a running cloudron
+    if (options.backupProvider === 'filesystem') {
+        console.log('Using filesystem backup listing');
+        return filesystem.listBackups(filesystem.backupHost(cloudron, options), options.sshKey, options.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER, callback);
+    } else if (options.backupProvider) {
+        helper.exit('--backup-provider must be "filesystem"');
+    }
+
     if (options.provider === 'caas') {
         console.log('Using caas backup listing');
         return caas.getBackupListing(cloudron, {}, callback);
@@ -49,7 +65,7 @@ function getBackupListing(cloudron, options, callback) {
             helper.exit('Try using the --provider argument');
         }
 
-        helper.getCloudronBackupList(callback);
+        helper.getCloudronBackupList(options, callback);
     });
 }
 
@@ -145,24 +161,18 @@ function listBackups(cloudron, options) {
     getBackupListing(cloudron, options, function (error, result) {
         if (error) helper.exit(error);
 
-        console.log('');
-
-        if (result.length === 0) {
+        if (result.length === 0 && output.isTable(options)) {
+            console.log('');
             console.log('No backups have been made.');
             helper.exit();
         }
 
-        var t = new Table();
-
-        result.forEach(function (backup) {
-            t.cell('Id', backup.id);
-            t.cell('Creation Time', backup.creationTime);
-            t.cell('Version', backup.version);
-
-            t.newRow();
-        });
-
-        console.log(t.toString());
+        output.print(result, [
+            { key: 'id', title: 'Id' },
+            { key: 'creationTime', title: 'Creation Time' },
+            { key: 'version', title: 'Version' },
+            { key: 'dependsOn', title: 'Depends On', hidden: true }
+        ], options);
 
         helper.exit();
     });
@@ -197,6 +207,8 @@ function downloadBackup(cloudron, outdir, options) {
     assert.strictEqual(typeof options, 'object');
 
     if (!options.backupId) helper.missing('backup-id');
+    if (options.backupProvider && options.backupProvider !== 'filesystem') helper.exit('--backup-provider must be "filesystem"');
+    if (options.backupProvider === 'filesystem' && options.decrypt && !options.backupKey) helper.missing('backup-key');
 
     helper.detectCloudronApiEndpoint(cloudron, function (error) {
         if (error) helper.exit(error);
@@ -217,24 +229,321 @@ function downloadBackup(cloudron, outdir, options) {
                 }
             }
 
+            var backupIds = [ options.backupId ].concat(dependsOn);
+
+            if (options.verify) return verifyBackupFiles(backupIds, outdir || process.cwd());
+
             // ensure output directory
             if (outdir) mkdirp.sync(outdir);
 
+            var concurrency = parseInt(options.concurrency || '3', 10);
+            if (!concurrency || concurrency < 1) helper.exit('--concurrency must be a positive number');
+
+            // the progress bars of parallel downloads would overwrite each other
+            var showProgress = backupIds.length === 1 || concurrency === 1;
+
             console.log();
             console.log('Downloading backups:');
             console.log();
 
-            async.eachSeries([ options.backupId ].concat(dependsOn), function (backupId, iteratorDone) {
-                var outstream = fs.createWriteStream(path.join(outdir || process.cwd(), backupId));
+            // filesystem backups are copied from the backup folder on the server over ssh
+            function downloadFile(backupId, filePath, callback) {
+                if (options.backupProvider !== 'filesystem') return backupDownload.download(backupId, filePath, { decrypt: !!options.decrypt, progress: showProgress }, callback);
 
+                filesystem.download(filesystem.backupHost(cloudron, options), options.sshKey, options.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER, backupId, filePath, options.decrypt ? options.backupKey : null, callback);
+            }
+
+            async.eachLimit(backupIds, concurrency, function (backupId, iteratorDone) {
                 console.log(backupId);
 
-                helper.saveBackupStream(backupId, outstream, !!options.decrypt, iteratorDone);
+                downloadFile(backupId, path.join(outdir || process.cwd(), backupId), function (error) {
+                    if (error) return iteratorDone(error);
+
+                    if (!showProgress) console.log('%s: done', backupId);
+                    iteratorDone();
+                });
             }, helper.exit);
         });
     });
 }
 
+function verifyBackupFiles(backupIds, outdir) {
+    var failed = 0;
+
+    async.eachSeries(backupIds, function (backupId, iteratorDone) {
+        backupDownload.verify(path.join(outdir, backupId), function (error) {
+            if (error) {
+                ++failed;
+                console.log('%s: %s'.red, backupId, error.message);
+            } else {
+                console.log('%s: OK'.green, backupId);
+            }
+
+            iteratorDone();
+        });
+    }, function () {
+        if (failed) helper.exit('%s of %s backups failed verification', failed, backupIds.length);
+
+        helper.exit();
+    });
+}
+
+function keepCount(value, option) {
+    if (value === undefined) return 0;
+
+    var count = parseInt(value, 10);
+    if (isNaN(count) || count < 0) helper.exit('--%s must be a number', option);
+
+    return count;
+}
+
+function pruneBackups(cloudron, options) {
+    assert.strictEqual(typeof cloudron, 'string');
+    assert.strictEqual(typeof options, 'object');
+
+    var policy = {
+        daily: keepCount(options.keepDaily, 'keep-daily'),
+        weekly: keepCount(options.keepWeekly, 'keep-weekly'),
+        monthly: keepCount(options.keepMonthly, 'keep-monthly')
+    };
+    if (!policy.daily && !policy.weekly && !policy.monthly) helper.exit('Specify at least one of --keep-daily, --keep-weekly or --keep-monthly');
+
+    ec2.getBackupListing(cloudron, options, function (error, backups) {
+        if (error) helper.exit(error);
+
+        // the s3 listing has no dependencies. the cloudron knows them
+        helper.detectCloudronApiEndpoint(cloudron, function (error) {
+            if (error) helper.exit('Unable to reach the Cloudron to get the backup dependencies: %s', error.message || error);
+
+            helper.getCloudronBackupList(options, function (error, cloudronBackups) {
+                if (error) helper.exit(error);
+
+                backups.forEach(function (backup) {
+                    var cloudronBackup = cloudronBackups.filter(function (b) { return b.id === backup.id; })[0];
+                    backup.dependsOn = cloudronBackup ? cloudronBackup.dependsOn || [] : [];
+                });
+
+                var steps = retention.plan(backups, policy);
+                var toDelete = steps.filter(function (step) { return !step.keep; });
+
+                output.print(steps.map(function (step) {
+                    return { id: step.backup.id, creationTime: step.backup.creationTime, action: step.keep ? 'keep' : 'delete', reason: step.reason };
+                }), [
+                    { key: 'id', title: 'Id' },
+                    { key: 'creationTime', title: 'Creation Time' },
+                    { key: 'action', title: 'Action', format: function (action) { return action === 'delete' ? action.red : action.green; } },
+                    { key: 'reason', title: 'Reason' }
+                ], options);
+
+                if (toDelete.length === 0) {
+                    if (output.isTable(options)) console.log('Nothing to prune');
+                    return helper.exit();
+                }
+
+                if (options.dryRun) return helper.exit();
+
+                if (!options.yes) {
+                    var answer = helper.question(util.format('Delete %s of %s backups? [y/N]: ', toDelete.length, steps.length), '--yes');
+                    if (answer.toUpperCase() !== 'Y') return helper.exit();
+                }
+
+                async.eachSeries(toDelete, function (step, iteratorDone) {
+                    ec2.deleteBackup(cloudron, options, step.backup.id, function (error) {
+                        if (error) return iteratorDone(error);
+
+                        console.log('Deleted %s', step.backup.id);
+                        iteratorDone();
+                    });
+                }, helper.exit);
+            });
+        });
+    });
+}
+
+// downloads the backups which are not yet in dir. state is kept in the manifest file of dir, so that this can run from cron
+function syncBackups(cloudron, dir, options) {
+    assert.strictEqual(typeof cloudron, 'string');
+    assert.strictEqual(typeof dir, 'string');
+    assert.strictEqual(typeof options, 'object');
+
+    var keep = keepCount(options.keep, 'keep');
+
+    mkdirp.sync(dir);
+
+    var manifest = safe(function () {
+        mirror.lock(dir);
+        return mirror.readManifest(dir);
+    });
+    if (!manifest) helper.exit(safe.error);
+
+    helper.detectCloudronApiEndpoint(cloudron, function (error) {
+        if (error) helper.exit(error);
+
+        helper.getCloudronBackupList(options, function (error, remoteBackups) {
+            if (error) helper.exit(error);
+
+            // backups which are gone from the cloudron still count for the local retention
+            var candidates = remoteBackups.slice();
+            Object.keys(manifest.backups).forEach(function (id) {
+                var entry = manifest.backups[id];
+                if (entry.creationTime && !remoteBackups.some(function (b) { return b.id === id; })) candidates.push(entry);
+            });
+
+            var wanted = mirror.select(candidates, keep);
+            var missing = wanted.filter(function (id) { return !manifest.backups[id] || !fs.existsSync(path.join(dir, id)); });
+
+            console.log('%s backups to keep, %s to download', wanted.length, missing.length);
+
+            async.eachSeries(missing, function (id, iteratorDone) {
+                var remoteBackup = remoteBackups.filter(function (b) { return b.id === id; })[0];
+                var requiredBy = remoteBackups.filter(function (b) { return (b.dependsOn || []).indexOf(id) !== -1; }).map(function (b) { return b.id; });
+
+                if (!remoteBackup && requiredBy.length === 0) {
+                    console.log('%s: not available on the Cloudron anymore'.yellow, id);
+                    return iteratorDone();
+                }
+
+                console.log('Downloading %s', id);
+
+                backupDownload.download(id, path.join(dir, id), { decrypt: !!options.decrypt, progress: helper.isInteractive() }, function (error) {
+                    if (error) return iteratorDone(error);
+
+                    manifest.backups[id] = remoteBackup ? {
+                        id: id,
+                        creationTime: remoteBackup.creationTime,
+                        version: remoteBackup.version,
+                        dependsOn: remoteBackup.dependsOn || []
+                    } : { id: id, requiredBy: requiredBy };
+
+                    manifest.backups[id].decrypted = !!options.decrypt;
+                    manifest.backups[id].downloadTime = new Date().toISOString();
+
+                    // saved after every download, so that an interrupted sync does not download again
+                    mirror.writeManifest(dir, manifest);
+
+                    iteratorDone();
+                });
+            }, function (error) {
+                if (error) helper.exit(error);
+
+                // only prune after all downloads succeeded, so that a failing sync never shrinks the local copy
+                Object.keys(manifest.backups).forEach(function (id) {
+                    if (wanted.indexOf(id) !== -1) return;
+
+                    console.log('Removing %s', id);
+
+                    safe.fs.unlinkSync(path.join(dir, id));
+                    safe.fs.unlinkSync(backupDownload.checksumFilePath(path.join(dir, id)));
+                    delete manifest.backups[id];
+                });
+
+                manifest.domain = cloudron;
+                manifest.lastSync = new Date().toISOString();
+                mirror.writeManifest(dir, manifest);
+
+                console.log('Sync done'.green);
+
+                helper.exit();
+            });
+        });
+    });
+}
+
+// streams the backup through decryption and a tar parser. nothing is written to disk
+function scanBackup(backupId, callback) {
+    var report = { id: backupId, entries: 0, files: 0, size: 0, corrupt: [], error: null };
+    var scanResult = null, downloaded = false, finished = false;
+
+    function finish() {
+        if (finished) return;
+        finished = true;
+
+        if (scanResult) {
+            report.entries = scanResult.entries;
+            report.files = scanResult.files;
+            report.size = scanResult.size;
+            report.corrupt = scanResult.corrupt;
+        }
+
+        callback(report);
+    }
+
+    var scanStream = archive.createScanStream(function (error, result) {
+        scanResult = result;
+        if (downloaded) finish();
+    });
+
+    helper.saveBackupStream(backupId, scanStream, true /* decrypt */, function (error) {
+        if (error) {
+            report.error = String(error.message || error);
+            return finish();
+        }
+
+        downloaded = true;
+        if (scanResult) finish();
+    });
+}
+
+function verifyBackup(cloudron, options) {
+    assert.strictEqual(typeof cloudron, 'string');
+    assert.strictEqual(typeof options, 'object');
+
+    if (!options.backupId) helper.missing('backup-id');
+
+    helper.detectCloudronApiEndpoint(cloudron, function (error) {
+        if (error) helper.exit(error);
+
+        helper.getCloudronBackupList(options, function (error, backups) {
+            if (error) helper.exit(error);
+
+            var backup = backups.filter(function (b) { return b.id === options.backupId; })[0];
+            if (!backup) helper.exit('Backup %s is not in the backup listing', options.backupId);
+
+            var listedIds = backups.map(function (b) { return b.id; });
+            var reports = [];
+
+            // app backups are usually not part of the listing. a dependency is only missing if it cannot be downloaded either
+            async.eachSeries([ backup.id ].concat(backup.dependsOn || []), function (backupId, iteratorDone) {
+                if (output.isTable(options)) console.log('Verifying %s', backupId);
+
+                scanBackup(backupId, function (report) {
+                    report.type = backupId === backup.id ? 'backup' : 'dependency';
+                    report.listed = listedIds.indexOf(backupId) !== -1;
+                    report.status = report.error ? report.error : (report.corrupt.length ? 'corrupt' : 'ok');
+
+                    reports.push(report);
+                    iteratorDone();
+                });
+            }, function () {
+                output.print(reports, [
+                    { key: 'id', title: 'Id' },
+                    { key: 'type', title: 'Type' },
+                    { key: 'listed', title: 'Listed', format: function (listed) { return listed ? 'yes' : 'no'; } },
+                    { key: 'files', title: 'Files' },
+                    { key: 'size', title: 'Uncompressed Size' },
+                    { key: 'status', title: 'Status', format: function (status) { return status === 'ok' ? status.green : status.red; } },
+                    { key: 'entries', title: 'Entries', hidden: true },
+                    { key: 'corrupt', title: 'Corrupt Entries', hidden: true, format: function (corrupt) { return corrupt.map(function (c) { return c.path; }).join(', '); } }
+                ], options);
+
+                var failed = reports.filter(function (report) { return report.status !== 'ok'; });
+
+                if (output.isTable(options)) {
+                    failed.forEach(function (report) {
+                        report.corrupt.forEach(function (entry) { console.log('%s: %s: %s'.red, report.id, entry.path, entry.error); });
+                    });
+                }
+
+                if (failed.length) helper.exit('%s of %s backups failed verification', failed.length, reports.length);
+
+                if (output.isTable(options)) console.log('Backup can be restored'.green);
+
+                helper.exit();
+            });
+        });
+    });
+}
+
 function eventlog(fqdn, options) {
     assert.strictEqual(typeof fqdn, 'string');
     assert.strictEqual(typeof options, 'object');
@@ -243,6 +552,7 @@ function eventlog(fqdn, options) {
         if (error) helper.exit(error);
 
         if (options.sshKey) {
+            if (!output.isTable(options)) helper.exit('--output is not supported with --ssh-key');
 
             if (options.full) {
                 helper.exec('ssh', helper.getSSH(config.apiEndpoint(), options.sshKey, ' mysql -uroot -ppassword -e "SELECT creationTime,action,source,data FROM box.eventlog ORDER BY creationTime DESC"'));
@@ -262,18 +572,21 @@ function eventlog(fqdn, options) {
             if (error) helper.exit(error);
             if (result.statusCode !== 200) return helper.exit(util.format('Failed to fetch eventlog.'.red, result.statusCode, result.text));
 
-            var t = new Table();
-
-            result.body.eventlogs.forEach(function (event) {
-                t.cell('creationTime', event.creationTime);
-                t.cell('action', event.action);
-                t.cell('source', event.source.username || event.source.userId || event.source.ip);
-                t.cell('data_preview', options.full ? JSON.stringify(event.data) : JSON.stringify(event.data).slice(-50));
-
-                t.newRow();
+            var events = result.body.eventlogs.map(function (event) {
+                return {
+                    creationTime: event.creationTime,
+                    action: event.action,
+                    source: event.source.username || event.source.userId || event.source.ip,
+                    data: event.data
+                };
             });
 
-            console.log(t.toString());
+            output.print(events, [
+                { key: 'creationTime', title: 'creationTime' },
+                { key: 'action', title: 'action' },
+                { key: 'source', title: 'source' },
+                { key: 'data', title: 'data_preview', format: function (data) { return options.full ? JSON.stringify(data) : JSON.stringify(data).slice(-50); } }
+            ], options);
 
             helper.exit();
         });
@@ -425,7 +738,7 @@ function updateOrUpgrade(fqdn, options) {
                 console.log();
 
                 if (!options.yes) {
-                    var answer = readlineSync.question('Perform upgrade now (y/n)? ');
+                    var answer = helper.question('Perform upgrade now (y/n)? ', '--yes');
                     if (answer !== 'y') return helper.exit();
                 }
 
@@ -3,7 +3,8 @@
 var assert = require('assert'),
     AWS = require('aws-sdk'),
     versions = require('./versions.js'),
-    debug = require('debug')('aws');
+    debug = require('debug')('aws'),
+    _ = require('underscore');
 
 exports = module.exports = {
     init: init,
@@ -21,6 +22,8 @@ exports = module.exports = {
     checkS3BucketAccess: checkS3BucketAccess,
     getBackupUrl: getBackupUrl,
     listBackups: listBackups,
+    uploadBackup: uploadBackup,
+    deleteBackup: deleteBackup,
     getInstanceDetails: getInstanceDetails,
     getVolumeDetails: getVolumeDetails,
     findSshKeyName: findSshKeyName
@@ -35,10 +38,23 @@ function init(options) {
     assert.strictEqual(typeof options.region, 'string');
     assert.strictEqual(typeof options.accessKeyId, 'string');
     assert.strictEqual(typeof options.secretAccessKey, 'string');
+    assert(!options.endpoint || typeof options.endpoint === 'string');
 
-    gEC2 = new AWS.EC2(options);
-    gRoute53 = new AWS.Route53(options);
-    gS3 = new AWS.S3(options);
+    var credentials = {
+        region: options.region,
+        accessKeyId: options.accessKeyId,
+        secretAccessKey: options.secretAccessKey
+    };
+
+    gEC2 = new AWS.EC2(credentials);
+    gRoute53 = new AWS.Route53(credentials);
+
+    // endpoint and s3ForcePathStyle are for s3 compatible storage like minio
+    var s3Options = _.extend({}, credentials);
+    if (options.endpoint) s3Options.endpoint = options.endpoint;
+    if (options.s3ForcePathStyle) s3Options.s3ForcePathStyle = true;
+
+    gS3 = new AWS.S3(s3Options);
 }
 
 function getImageDetails(imageId, callback) {
@@ -434,34 +450,91 @@ function listBackups(bucket, prefix, callback) {
     assert.strictEqual(typeof prefix, 'string');
     assert.strictEqual(typeof callback, 'function');
 
+    var backups = [];
+
+    // listObjects returns at most 1000 keys. the next page starts after the last key of the previous one
+    function listPage(marker) {
+        var params = {
+            Bucket: bucket,
+            Prefix: prefix + '/'
+        };
+
+        if (marker) params.Marker = marker;
+
+        gS3.listObjects(params, function (error, data) {
+            if (error) return callback(error);
+
+            var contents = data.Contents;
+
+            for (var i = 0; i < contents.length; ++i) {
+                var match = contents[i].Key.match(/\/backup_(.*)-v(.*).tar.gz$/);
+                if (!match) continue;
+
+                var date = new Date(match[1]);
+                if (date.toString() === 'Invalid Date') continue;
+
+                var filename = contents[i].Key.slice(params.Prefix.length);
+
+                backups.push({
+                    id: filename,
+                    creationTime: date.toISOString(),
+                    version: match[2],
+                    filename: filename
+                });
+            }
+
+            if (data.IsTruncated && contents.length) return listPage(data.NextMarker || contents[contents.length - 1].Key);
+
+            // backup results are sorted alphabetically by filename
+            callback(null, backups);
+        });
+    }
+
+    listPage(null);
+}
+
+// the stream is uploaded in parts if it is large
+function uploadBackup(bucket, prefix, backupId, stream, callback) {
+    assert.strictEqual(typeof gS3, 'object');
+    assert.strictEqual(typeof bucket, 'string');
+    assert.strictEqual(typeof prefix, 'string');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof stream, 'object');
+    assert.strictEqual(typeof callback, 'function');
+
     var params = {
         Bucket: bucket,
-        Prefix: prefix
+        Key: prefix + '/' + backupId,
+        Body: stream
     };
 
-    gS3.listObjects(params, function(error, data) {
+    debug('uploadBackup:', _.omit(params, 'Body'));
+
+    gS3.upload(params, function (error) {
         if (error) return callback(error);
 
-        var backups = [];
-        var contents = data.Contents;
+        callback(null);
+    });
+}
+
+function deleteBackup(bucket, prefix, backupId, callback) {
+    assert.strictEqual(typeof gS3, 'object');
+    assert.strictEqual(typeof bucket, 'string');
+    assert.strictEqual(typeof prefix, 'string');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof callback, 'function');
 
-        for (var i = 0; i < contents.length; ++i) {
-            var match = contents[i].Key.match(/\/backup_(.*)-v(.*).tar.gz$/);
-            if (!match) continue;
+    var params = {
+        Bucket: bucket,
+        Key: prefix + '/' + backupId
+    };
 
-            var date = new Date(match[1]);
-            if (date.toString() === 'Invalid Date') continue;
+    debug('deleteBackup:', params);
 
-            backups.push({
-                id: contents[i].Key.split('/')[1],
-                creationTime: date.toISOString(),
-                version: match[2],
-                filename: contents[i].Key.split('/')[1]
-            });
-        }
+    gS3.deleteObject(params, function (error) {
+        if (error) return callback(error);
 
-        // backup results are sorted alphabetically by filename
-        return callback(null, backups);
+        callback(null);
     });
 }
 
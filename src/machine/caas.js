@@ -3,7 +3,6 @@
 var assert = require('assert'),
     config = require('../config.js'),
     helper = require('../helper.js'),
-    readlineSync = require('readline-sync'),
     superagent = require('superagent'),
     util = require('util');
 
@@ -154,15 +153,18 @@ function loginAppstore(callback) {
     assert.strictEqual(typeof callback, 'function');
 
     function relogin() {
-        console.log();
-        console.log('Enter ' + 'appstore'.cyan.bold + ' credentials:');
+        if (helper.isInteractive()) {
+            console.log();
+            console.log('Enter ' + 'appstore'.cyan.bold + ' credentials:');
+        }
 
-        var username = readlineSync.question('Username: ', {});
-        var password = readlineSync.question('Password: ', { noEchoBack: true });
+        var username = process.env.CLOUDRON_APPSTORE_USERNAME || helper.question('Username: ', 'CLOUDRON_APPSTORE_USERNAME');
+        var password = process.env.CLOUDRON_APPSTORE_PASSWORD || helper.question('Password: ', 'CLOUDRON_APPSTORE_PASSWORD', { noEchoBack: true });
 
         superagent.get(createUrl('/api/v1/login')).auth(username, password).end(function (error, result) {
             if (error && !error.response) return callback(error);
             if (result.statusCode !== 200) {
+                if (!helper.isInteractive()) return callback(new Error('Appstore login failed.'));
                 console.log('Login failed.'.red);
                 return relogin();
             }
@@ -4,21 +4,37 @@ var assert = require('assert'),
     aws = require('./aws.js'),
     hat = require('hat'),
     helper = require('../helper.js'),
-    ec2tasks = require('./ec2tasks.js');
+    ec2tasks = require('./ec2tasks.js'),
+    filesystem = require('./filesystem.js');
 
 exports = module.exports = {
     create: create,
     restore: restore,
     upgrade: upgrade,
     migrate: migrate,
-    getBackupListing: getBackupListing
+    getBackupListing: getBackupListing,
+    deleteBackup: deleteBackup
 };
 
+// backups are stored in s3 or with the filesystem provider in a folder on the server
+function checkBackupProvider(options) {
+    if (!options.backupProvider || options.backupProvider === 's3') {
+        if (!options.backupBucket) helper.missing('backup-bucket');
+    } else if (options.backupProvider !== 'filesystem') {
+        helper.exit('--backup-provider must be either "s3" or "filesystem"');
+    }
+}
+
 function getBackupListing(cloudron, options, callback) {
     assert.strictEqual(typeof cloudron, 'string');
     assert.strictEqual(typeof options, 'object');
     assert.strictEqual(typeof callback, 'function');
 
+    // filesystem backups are listed over ssh. this is the server of the cloudron unless the folder is elsewhere
+    if (options.backupProvider === 'filesystem') {
+        return filesystem.listBackups(filesystem.backupHost(cloudron, options), options.sshKey, options.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER, callback);
+    }
+
     if (!options.region) helper.missing('region');
     if (!options.accessKeyId) helper.missing('access-key-id');
     if (!options.secretAccessKey) helper.missing('secret-access-key');
@@ -27,7 +43,9 @@ function getBackupListing(cloudron, options, callback) {
     aws.init({
         region: options.region,
         accessKeyId: options.accessKeyId,
-        secretAccessKey: options.secretAccessKey
+        secretAccessKey: options.secretAccessKey,
+        endpoint: options.endpoint,
+        s3ForcePathStyle: !!options.forcePathStyle
     });
 
     aws.listBackups(options.backupBucket, cloudron, function (error, result) {
@@ -37,6 +55,16 @@ function getBackupListing(cloudron, options, callback) {
     });
 }
 
+// aws has to be initialized with getBackupListing() first
+function deleteBackup(cloudron, options, backupId, callback) {
+    assert.strictEqual(typeof cloudron, 'string');
+    assert.strictEqual(typeof options, 'object');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    aws.deleteBackup(options.backupBucket, cloudron, backupId, callback);
+}
+
 function create(options, version, callback) {
     assert.strictEqual(typeof options, 'object');
     assert.strictEqual(typeof version, 'string');
@@ -45,8 +73,8 @@ function create(options, version, callback) {
     if (!options.accessKeyId) helper.missing('access-key-id');
     if (!options.secretAccessKey) helper.missing('secret-access-key');
     if (!options.diskSize) helper.missing('disk-size');
-    if (!options.backupBucket) helper.missing('backup-bucket');
     if (!options.sshKey) helper.missing('ssh-key');
+    checkBackupProvider(options);
 
     if (options.diskSize < 30) helper.exit('--disk-size must be at least 30');
 
@@ -69,7 +97,9 @@ function create(options, version, callback) {
         accessKeyId: options.accessKeyId,
         secretAccessKey: options.secretAccessKey,
         backupKey: options.backupKey,
+        backupProvider: options.backupProvider || 's3',
         backupBucket: options.backupBucket,
+        backupFolder: options.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER,
         version: version,
         type: options.type,
         sshKey: options.sshKey,
@@ -93,8 +123,8 @@ function restore(options, backup, callback) {
     if (!options.accessKeyId) helper.missing('access-key-id');
     if (!options.secretAccessKey) helper.missing('secret-access-key');
     if (!options.backupKey) helper.missing('backup-key');
-    if (!options.backupBucket) helper.missing('backup-bucket');
     if (!options.sshKey) helper.missing('ssh-key');
+    checkBackupProvider(options);
 
     if (options.diskSize < 30) helper.exit('--disk-size must be at least 30');
 
@@ -104,7 +134,12 @@ function restore(options, backup, callback) {
         region: options.region,
         accessKeyId: options.accessKeyId,
         secretAccessKey: options.secretAccessKey,
+        backupProvider: options.backupProvider || 's3',
         backupBucket: options.backupBucket,
+        backupFolder: options.backupFolder || filesystem.DEFAULT_BACKUP_FOLDER,
+        backupHost: filesystem.backupHost(options.fqdn, options),
+        endpoint: options.endpoint,
+        forcePathStyle: !!options.forcePathStyle,
         backupKey: options.backupKey,
         backup: backup,
         type: options.type,
@@ -7,12 +7,14 @@ var assert = require('assert'),
     debug = require('debug')('tasks'),
     dns = require('native-dns'),
     execFile = require('child_process').execFile,
+    filesystem = require('./filesystem.js'),
     helper = require('../helper.js'),
     os = require('os'),
     path = require('path'),
     safe = require('safetydance'),
     superagent = require('superagent'),
     tld = require('tldjs'),
+    util = require('util'),
     versions = require('./versions.js');
 
 exports = module.exports = {
@@ -22,6 +24,9 @@ exports = module.exports = {
     migrate: migrate
 };
 
+// how long a new server has to accept ssh connections
+var SSH_TIMEOUT_MINUTES = 10;
+
 // gParams holds input values
 var gParams = null;
 
@@ -44,6 +49,8 @@ function checkDNSZone(callback) {
 function checkS3BucketAccess(callback) {
     assert.strictEqual(typeof callback, 'function');
 
+    if (gParams.backupProvider === 'filesystem') return callback();
+
     console.log('Checking S3 bucket access...');
 
     aws.checkS3BucketAccess(gParams.backupBucket, function (error) {
@@ -303,7 +310,11 @@ function getUserData(callback) {
                         url: gParams.backupDetails ? gParams.backupDetails.url : null,
                         key: gParams.backupDetails ? gParams.backupDetails.key : null
                     },
-                    backupConfig: {
+                    backupConfig: gParams.backupProvider === 'filesystem' ? {
+                        provider: 'filesystem',
+                        key: gParams.backupKey,
+                        backupFolder: gParams.backupFolder
+                    } : {
                         provider: 's3',
                         key: gParams.backupKey,
                         region: gParams.region,
@@ -415,6 +426,16 @@ function getBackupDetails(callback) {
 
     console.log('Getting backup details...');
 
+    // copyBackup puts the filesystem backup into the same folder on the new server
+    if (gParams.backupProvider === 'filesystem') {
+        gParams.backupDetails = {
+            key: gParams.backupKey,
+            url: filesystem.backupUrl(gParams.backupFolder, gParams.backup.id)
+        };
+
+        return callback();
+    }
+
     aws.getBackupUrl(gParams.backupBucket, gParams.domain, gParams.backup.id, function (error, result) {
         if (error) return callback(error);
 
@@ -437,6 +458,65 @@ function retireOldCloudron(callback) {
     });
 }
 
+// the box restores from backupUrl() on the new server. filesystem backups are copied there from the backup host
+// before the box is waited for
+function waitForSSH(callback) {
+    assert.strictEqual(typeof callback, 'function');
+
+    if (gParams.backupProvider !== 'filesystem') return callback();
+
+    process.stdout.write('Waiting for SSH...');
+
+    var deadline = Date.now() + SSH_TIMEOUT_MINUTES * 60 * 1000;
+
+    async.forever(function (callback) {
+        execFile('ssh', helper.getSSH(gPublicIP, gParams.sshKey, 'true'), { timeout: 30 * 1000 }, function (error, stdout, stderr) {
+            if (!error) return callback('done');
+            if (Date.now() > deadline) return callback(new Error(util.format('The new server %s did not accept SSH connections on port 202 within %s minutes: %s', gPublicIP, SSH_TIMEOUT_MINUTES, (stderr || error.message).trim())));
+
+            process.stdout.write('.');
+
+            setTimeout(callback, 5000);
+        });
+    }, function (doneOrError) {
+        process.stdout.write('\n');
+
+        if (doneOrError !== 'done') return callback(doneOrError);
+
+        callback();
+    });
+}
+
+function copyBackup(callback) {
+    assert.strictEqual(typeof callback, 'function');
+
+    if (gParams.backupProvider !== 'filesystem') return callback();
+
+    var source = { host: gParams.backupHost, sshKey: gParams.sshKey, backupFolder: gParams.backupFolder };
+    var target = { host: gPublicIP, sshKey: gParams.sshKey, backupFolder: gParams.backupFolder };
+
+    // the backup listing of the folder does not know which app backups a box backup depends on. copy all of them then
+    function getBackupIds(callback) {
+        if (gParams.backup.dependsOn) return callback(null, [ gParams.backup.id ].concat(gParams.backup.dependsOn));
+
+        filesystem.listFiles(source.host, source.sshKey, source.backupFolder, function (error, filenames) {
+            if (error) return callback(error);
+
+            callback(null, [ gParams.backup.id ].concat(filenames.filter(function (f) { return f.indexOf('appbackup_') === 0; })));
+        });
+    }
+
+    getBackupIds(function (error, backupIds) {
+        if (error) return callback(error);
+
+        async.eachSeries(backupIds, function (backupId, iteratorDone) {
+            console.log('Copying backup %s to the new server...', backupId);
+
+            filesystem.copy(source, target, backupId, iteratorDone);
+        }, callback);
+    });
+}
+
 function getInstanceResources(callback) {
     assert.strictEqual(typeof callback, 'function');
 
@@ -447,7 +527,10 @@ function getInstanceResources(callback) {
         if (result.statusCode !== 200) return callback(new Error('Failed to get instance details.'));
 
         gParams.backupKey = result.body.key;
+        gParams.backupProvider = result.body.provider;
         gParams.backupBucket = result.body.bucket;
+        gParams.backupFolder = result.body.backupFolder;
+        gParams.backupHost = filesystem.backupHost(gParams.domain, {});
 
         // FIXME maybe not the best way to get these
         gParams.region = result.body.region;
@@ -524,7 +607,8 @@ function create(options, callback) {
     assert.strictEqual(typeof options.region, 'string');
     assert.strictEqual(typeof options.version, 'string');
     assert.strictEqual(typeof options.backupKey, 'string');
-    assert.strictEqual(typeof options.backupBucket, 'string');
+    assert.strictEqual(typeof options.backupProvider, 'string');
+    assert(options.backupProvider !== 's3' || typeof options.backupBucket === 'string');
     assert.strictEqual(typeof options.accessKeyId, 'string');
     assert.strictEqual(typeof options.secretAccessKey, 'string');
     assert.strictEqual(typeof options.type, 'string');
@@ -573,7 +657,8 @@ function restore(options, callback) {
     assert.strictEqual(typeof options.region, 'string');
     assert.strictEqual(typeof options.backup, 'object');
     assert.strictEqual(typeof options.backupKey, 'string');
-    assert.strictEqual(typeof options.backupBucket, 'string');
+    assert.strictEqual(typeof options.backupProvider, 'string');
+    assert(options.backupProvider !== 's3' || typeof options.backupBucket === 'string');
     assert.strictEqual(typeof options.accessKeyId, 'string');
     assert.strictEqual(typeof options.secretAccessKey, 'string');
     assert.strictEqual(typeof options.type, 'string');
@@ -586,7 +671,9 @@ function restore(options, callback) {
     aws.init({
         region: options.region,
         accessKeyId: options.accessKeyId,
-        secretAccessKey: options.secretAccessKey
+        secretAccessKey: options.secretAccessKey,
+        endpoint: options.endpoint,
+        s3ForcePathStyle: options.forcePathStyle
     });
 
     gParams = options;
@@ -597,10 +684,13 @@ function restore(options, callback) {
     var tasks = [
         checkDNSZone,
         getBackupDetails,
+        detectSSHKeyName,
         createSubnetAndSecurityGroup,
         createServer,
         waitForServer,
         getIp,
+        waitForSSH,
+        copyBackup,
         waitForDNS,
         waitForStatus
     ];
@@ -638,6 +728,8 @@ function upgrade(options, callback) {
         createServer,
         waitForServer,
         getIp,
+        waitForSSH,
+        copyBackup,
         waitForDNS,
         waitForStatus,
         function (callback) {
@@ -695,6 +787,8 @@ function migrate(options, callback) {
         createServer,
         waitForServer,
         getIp,
+        waitForSSH,
+        copyBackup,
         waitForDNS,
         waitForStatus,
         function (callback) {
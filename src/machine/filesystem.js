@@ -0,0 +1,252 @@
+'use strict';
+
+var assert = require('assert'),
+    backupDownload = require('../backup/download.js'),
+    debug = require('debug')('filesystem'),
+    decrypt = require('../backup/decrypt.js'),
+    fs = require('fs'),
+    helper = require('../helper.js'),
+    path = require('path'),
+    spawn = require('child_process').spawn,
+    util = require('util');
+
+exports = module.exports = {
+    DEFAULT_BACKUP_FOLDER: '/var/backups',
+
+    backupHost: backupHost,
+    backupUrl: backupUrl,
+    listFiles: listFiles,
+    listBackups: listBackups,
+    download: download,
+    upload: upload,
+    copy: copy
+};
+
+// the ssh args of helper.getSSH without -tt. a tty would mangle the binary data of backups
+function sshArgs(host, sshKey, cmd) {
+    return helper.getSSH(host, sshKey, cmd).filter(function (arg) { return arg !== '-tt'; });
+}
+
+// the remote shell gets the command as one string
+function quote(arg) {
+    return '\'' + arg.replace(/'/g, '\'\\\'\'') + '\'';
+}
+
+// the backups are on the server of the cloudron unless --backup-host says otherwise
+function backupHost(cloudron, options) {
+    assert.strictEqual(typeof cloudron, 'string');
+    assert.strictEqual(typeof options, 'object');
+
+    return options.backupHost || 'my.' + cloudron;
+}
+
+// the box downloads the backup to restore from this url. copy() puts the backup into this folder on the new server
+function backupUrl(backupFolder, backupId) {
+    assert.strictEqual(typeof backupFolder, 'string');
+    assert.strictEqual(typeof backupId, 'string');
+
+    return 'file://' + path.join(backupFolder, backupId);
+}
+
+// the names of all files in the backup folder
+function listFiles(host, sshKey, backupFolder, callback) {
+    assert.strictEqual(typeof host, 'string');
+    assert(!sshKey || typeof sshKey === 'string');
+    assert.strictEqual(typeof backupFolder, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var args = sshArgs(host, sshKey, 'ls -1 ' + quote(backupFolder));
+    var stdout = '', stderr = '';
+
+    debug('listFiles: ssh %s', args.join(' '));
+
+    var child = spawn('ssh', args);
+
+    child.stdout.on('data', function (data) { stdout += data.toString('utf8'); });
+    child.stderr.on('data', function (data) { stderr += data.toString('utf8'); });
+
+    child.on('error', callback);
+    child.on('close', function (code) {
+        if (code !== 0) return callback(new Error(util.format('Unable to list backups in %s on %s: %s', backupFolder, host, stderr.trim())));
+
+        callback(null, stdout.split('\n').map(function (filename) { return filename.trim(); }).filter(function (filename) { return !!filename; }));
+    });
+}
+
+// box backups are stored as <backupFolder>/backup_<date>-v<version>.tar.gz on the server
+function listBackups(host, sshKey, backupFolder, callback) {
+    assert.strictEqual(typeof host, 'string');
+    assert(!sshKey || typeof sshKey === 'string');
+    assert.strictEqual(typeof backupFolder, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    listFiles(host, sshKey, backupFolder, function (error, filenames) {
+        if (error) return callback(error);
+
+        var backups = [];
+
+        filenames.forEach(function (filename) {
+            var match = filename.match(/^backup_(.*)-v(.*).tar.gz$/);
+            if (!match) return;
+
+            var date = new Date(match[1]);
+            if (date.toString() === 'Invalid Date') return;
+
+            backups.push({
+                id: filename,
+                creationTime: date.toISOString(),
+                version: match[2],
+                filename: filename
+            });
+        });
+
+        callback(null, backups);
+    });
+}
+
+// copies the backup to filePath over ssh and writes the checksum file. backups are decrypted if a key is passed
+function download(host, sshKey, backupFolder, backupId, filePath, key, callback) {
+    assert.strictEqual(typeof host, 'string');
+    assert(!sshKey || typeof sshKey === 'string');
+    assert.strictEqual(typeof backupFolder, 'string');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof filePath, 'string');
+    assert(!key || typeof key === 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var partFilePath = filePath + '.part';
+    var stderr = '';
+    var called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        if (error) return fs.unlink(partFilePath, function () { callback(error); });
+
+        fs.rename(partFilePath, filePath, function (error) {
+            if (error) return callback(error);
+
+            backupDownload.writeChecksum(filePath, callback);
+        });
+    }
+
+    var child = spawn('ssh', sshArgs(host, sshKey, 'cat ' + quote(path.join(backupFolder, backupId))));
+    var stream = child.stdout;
+
+    if (key) stream = stream.pipe(decrypt.createDecryptStream(key)).on('error', done);
+
+    var outstream = fs.createWriteStream(partFilePath);
+    var exitCode = null, finished = false;
+
+    // the file is complete when ssh exited successfully and everything is written
+    function checkDone() {
+        if (exitCode === null || !finished) return;
+        if (exitCode !== 0) return done(new Error(util.format('Unable to copy %s from %s: %s', backupId, host, stderr.trim())));
+
+        done(null);
+    }
+
+    child.stderr.on('data', function (data) { stderr += data.toString('utf8'); });
+    child.on('error', done);
+    child.on('close', function (code) {
+        exitCode = code;
+        checkDone();
+    });
+
+    outstream.on('error', done);
+    outstream.on('finish', function () {
+        finished = true;
+        checkDone();
+    });
+
+    stream.pipe(outstream);
+}
+
+// runs cmd on the server and collects stderr for the error message
+function run(host, sshKey, cmd, callback) {
+    var child = spawn('ssh', sshArgs(host, sshKey, cmd));
+    var stderr = '', called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        callback(error);
+    }
+
+    child.stderr.on('data', function (data) { stderr += data.toString('utf8'); });
+    child.on('error', done);
+    child.on('close', function (code) {
+        if (code !== 0) return done(new Error(util.format('%s failed on %s: %s', cmd, host, stderr.trim())));
+
+        done(null);
+    });
+
+    return child;
+}
+
+// streams the backup from the backup folder of one server into the backup folder of another. the file is written as
+// .part and only renamed once the copy succeeded, so that the box never sees a partial backup
+function copy(source, target, backupId, callback) {
+    assert.strictEqual(typeof source, 'object');
+    assert.strictEqual(typeof target, 'object');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof callback, 'function');
+
+    var filePath = path.join(target.backupFolder, backupId);
+    var partFilePath = filePath + '.part';
+
+    var pending = 2, failed = null, called = false;
+
+    function done(error) {
+        if (error && !failed) failed = error;
+        if (--pending !== 0 || called) return;
+        called = true;
+
+        if (failed) return run(target.host, target.sshKey, 'rm -f ' + quote(partFilePath), function () { callback(failed); });
+
+        run(target.host, target.sshKey, 'mv ' + quote(partFilePath) + ' ' + quote(filePath), callback);
+    }
+
+    var reader = run(source.host, source.sshKey, 'cat ' + quote(path.join(source.backupFolder, backupId)), done);
+    var writer = run(target.host, target.sshKey, 'mkdir -p ' + quote(target.backupFolder) + ' && cat > ' + quote(partFilePath), done);
+
+    // the reader fails with EPIPE if the writer is gone. the exit code of the writer tells why
+    writer.stdin.on('error', function () {});
+
+    reader.stdout.pipe(writer.stdin);
+}
+
+// writes the stream into the backup folder on the server. like copy(), the file only gets its name once it is complete
+function upload(host, sshKey, backupFolder, backupId, stream, callback) {
+    assert.strictEqual(typeof host, 'string');
+    assert(!sshKey || typeof sshKey === 'string');
+    assert.strictEqual(typeof backupFolder, 'string');
+    assert.strictEqual(typeof backupId, 'string');
+    assert.strictEqual(typeof stream, 'object');
+    assert.strictEqual(typeof callback, 'function');
+
+    var filePath = path.join(backupFolder, backupId);
+    var partFilePath = filePath + '.part';
+    var called = false;
+
+    function done(error) {
+        if (called) return;
+        called = true;
+
+        if (error) return run(host, sshKey, 'rm -f ' + quote(partFilePath), function () { callback(error); });
+
+        run(host, sshKey, 'mv ' + quote(partFilePath) + ' ' + quote(filePath), callback);
+    }
+
+    var writer = run(host, sshKey, 'mkdir -p ' + quote(backupFolder) + ' && cat > ' + quote(partFilePath), done);
+
+    writer.stdin.on('error', function () {});
+    stream.on('error', function (error) {
+        writer.kill();
+        done(error);
+    });
+
+    stream.pipe(writer.stdin);
+}
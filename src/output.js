@@ -0,0 +1,73 @@
+/* jshint node:true */
+
+'use strict';
+
+var assert = require('assert'),
+    helper = require('./helper.js'),
+    Table = require('easy-table'),
+    util = require('util'),
+    yaml = require('js-yaml'),
+    _ = require('underscore');
+
+exports = module.exports = {
+    FORMATS: [ 'table', 'json', 'yaml' ],
+
+    isTable: isTable,
+    print: print
+};
+
+function isTable(options) {
+    assert.strictEqual(typeof options, 'object');
+
+    return !options.output || options.output === 'table';
+}
+
+function tableValue(column, value, row) {
+    if (column.format) return column.format(value, row);
+    if (Array.isArray(value)) return value.join(', ');
+    if (value === null || value === undefined) return '';
+
+    return value;
+}
+
+// columns is an array of { key, title, hidden, format }. key is the stable field name used in json/yaml output and
+// for --columns. title and format ((value, row) => string) are only used for table output. hidden columns are not shown in
+// tables unless selected with --columns
+function print(rows, columns, options) {
+    assert(Array.isArray(rows));
+    assert(Array.isArray(columns));
+    assert.strictEqual(typeof options, 'object');
+
+    var format = options.output || 'table';
+    if (exports.FORMATS.indexOf(format) === -1) helper.exit('--output must be one of %s', exports.FORMATS.join(', '));
+
+    var keys = _.pluck(columns, 'key');
+    var selected;
+
+    if (options.columns) {
+        selected = options.columns.split(',').map(function (c) { return c.trim(); }).filter(function (c) { return c; });
+
+        var unknown = _.difference(selected, keys);
+        if (unknown.length) helper.exit(util.format('Unknown column %s. Available columns: %s', unknown.join(', '), keys.join(', ')));
+    } else if (format === 'table') {
+        selected = _.pluck(columns.filter(function (c) { return !c.hidden; }), 'key');
+    } else {
+        selected = keys; // all fields for machine readable output
+    }
+
+    if (format === 'json') return console.log(JSON.stringify(rows.map(function (row) { return _.pick(row, selected); }), null, 2));
+    if (format === 'yaml') return process.stdout.write(yaml.safeDump(rows.map(function (row) { return _.pick(row, selected); }), { skipInvalid: true }));
+
+    var t = new Table();
+
+    rows.forEach(function (row) {
+        selected.forEach(function (key) {
+            var column = _.findWhere(columns, { key: key });
+            t.cell(column.title, tableValue(column, row[key], row));
+        });
+        t.newRow();
+    });
+
+    console.log();
+    console.log(t.toString());
+}
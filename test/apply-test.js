@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var actions = require('../src/app/actions.js'),
+    config = require('../src/config.js'),
+    expect = require('expect.js'),
+    http = require('http');
+
+var TCP_PORTS = {
+    SSH_PORT: { title: 'SSH', defaultValue: 22 },
+    IRC_PORT: { title: 'IRC', defaultValue: 6667 }
+};
+
+// the store has version 1.0.0 and 1.1.0 of io.example.git, which adds GIT_PORT, and 2.0.0 of io.example.wiki
+var MANIFESTS = {
+    'io.example.git': { id: 'io.example.git', version: '1.1.0', tcpPorts: { SSH_PORT: TCP_PORTS.SSH_PORT, IRC_PORT: TCP_PORTS.IRC_PORT, GIT_PORT: { title: 'Git', defaultValue: 9418 } } },
+    'io.example.git@1.0.0': { id: 'io.example.git', version: '1.0.0', tcpPorts: TCP_PORTS },
+    'io.example.git@1.1.0': { id: 'io.example.git', version: '1.1.0', tcpPorts: { SSH_PORT: TCP_PORTS.SSH_PORT, IRC_PORT: TCP_PORTS.IRC_PORT, GIT_PORT: { title: 'Git', defaultValue: 9418 } } },
+    'io.example.wiki': { id: 'io.example.wiki', version: '2.0.0' }
+};
+
+var USERS = [ { id: 'u1', username: 'zoe' }, { id: 'u2', username: 'adam' } ];
+
+// git is installed with IRC_PORT disabled, chat was installed with the CLI and has no appStoreId
+var INSTALLED_APPS = [
+    {
+        id: 'a1',
+        appStoreId: 'io.example.git@1.0.0',
+        location: 'git',
+        manifest: MANIFESTS['io.example.git@1.0.0'],
+        portBindings: { SSH_PORT: 2222 },
+        accessRestriction: { users: [ 'u2', 'u1' ], groups: [] },
+        oauthProxy: false
+    },
+    {
+        id: 'a2',
+        appStoreId: 'io.example.wiki',
+        location: 'wiki',
+        manifest: MANIFESTS['io.example.wiki'],
+        portBindings: {},
+        accessRestriction: null,
+        oauthProxy: false
+    },
+    {
+        id: 'a3',
+        appStoreId: '',
+        location: 'chat',
+        manifest: { id: 'io.example.chat', version: '0.1.0' },
+        portBindings: {},
+        accessRestriction: null,
+        oauthProxy: false
+    }
+];
+
+var GIT = { location: 'git', appstoreId: 'io.example.git', version: '1.0.0' };
+var WIKI = { location: 'wiki', appstoreId: 'io.example.wiki' };
+
+function actionsOf(plan) {
+    return plan.map(function (step) { return step.action + ' ' + step.location; });
+}
+
+describe('Apply', function () {
+    var gServer = http.createServer(function (req, res) {
+        var match = req.url.match(/^\/api\/v1\/apps\/([^\/]+)(?:\/versions\/(.+))?$/);
+        var manifest = match ? MANIFESTS[match[1] + (match[2] ? '@' + match[2] : '')] : null;
+
+        res.writeHead(manifest ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(manifest ? { manifest: manifest } : { message: 'not found' }));
+    });
+    var appStoreOrigin = config.appStoreOrigin;
+
+    before(function (done) {
+        gServer.listen(0, '127.0.0.1', function () {
+            config.appStoreOrigin = function () { return 'http://127.0.0.1:' + gServer.address().port; };
+
+            done();
+        });
+    });
+
+    after(function (done) {
+        config.appStoreOrigin = appStoreOrigin;
+        gServer.close(done);
+    });
+
+    it('has nothing to do if the apps match the file', function (done) {
+        actions.applyPlan([ GIT, WIKI ], INSTALLED_APPS, USERS, { prune: true }, function (error, plan) {
+            expect(error).to.be(null);
+            expect(plan).to.eql([ ]);
+
+            done();
+        });
+    });
+
+    it('installs new apps with the default ports and the access restriction by user id', function (done) {
+        var desired = { location: 'git2', appstoreId: 'io.example.git', version: '1.0.0', accessRestriction: { users: [ 'zoe', 'u2' ] } };
+
+        actions.applyPlan([ GIT, WIKI, desired ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(actionsOf(plan)).to.eql([ 'install git2' ]);
+            expect(plan[0].changes).to.eql([ 'io.example.git@1.0.0' ]);
+            expect(plan[0].data.appStoreId).to.be('io.example.git@1.0.0');
+            expect(plan[0].data.portBindings).to.eql({ SSH_PORT: 22, IRC_PORT: 6667 });
+            expect(plan[0].data.accessRestriction).to.eql({ users: [ 'u1', 'u2' ], groups: [ ] });
+
+            done();
+        });
+    });
+
+    it('updates apps and keeps their ports, including disabled ones', function (done) {
+        actions.applyPlan([ { location: 'git', appstoreId: 'io.example.git', version: '1.1.0' }, WIKI ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(actionsOf(plan)).to.eql([ 'update git' ]);
+            expect(plan[0].appId).to.be('a1');
+            expect(plan[0].changes).to.eql([ '1.0.0 -> 1.1.0' ]);
+            expect(plan[0].data.portBindings).to.eql({ SSH_PORT: 2222, GIT_PORT: 9418 });
+            expect(plan[0].data.accessRestriction).to.eql(INSTALLED_APPS[0].accessRestriction);
+
+            done();
+        });
+    });
+
+    it('configures apps whose ports, access restriction or oauth proxy differ', function (done) {
+        var desired = { location: 'git', appstoreId: 'io.example.git', portBindings: { SSH_PORT: 2222, IRC_PORT: 6697 }, accessRestriction: { groups: [ 'staff' ] }, oauthProxy: true };
+
+        actions.applyPlan([ desired, WIKI ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(actionsOf(plan)).to.eql([ 'configure git' ]);
+            expect(plan[0].changes).to.eql([ 'ports', 'access', 'oauth proxy' ]);
+            expect(plan[0].data).to.eql({
+                appId: 'a1',
+                location: 'git',
+                portBindings: { SSH_PORT: 2222, IRC_PORT: 6697 },
+                accessRestriction: { users: [ ], groups: [ 'staff' ] },
+                oauthProxy: true
+            });
+
+            done();
+        });
+    });
+
+    it('compares access restrictions by user id and regardless of order', function (done) {
+        var desired = { location: 'git', appstoreId: 'io.example.git', accessRestriction: { users: [ 'adam', 'zoe' ], groups: [] } };
+
+        actions.applyPlan([ desired, WIKI ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(plan).to.eql([ ]);
+
+            done();
+        });
+    });
+
+    it('disables ports which are null or false', function (done) {
+        var desired = { location: 'git', appstoreId: 'io.example.git', portBindings: { SSH_PORT: null, IRC_PORT: false } };
+
+        actions.applyPlan([ desired, WIKI ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(actionsOf(plan)).to.eql([ 'configure git' ]);
+            expect(plan[0].changes).to.eql([ 'ports' ]);
+            expect(plan[0].data.portBindings).to.eql({ });
+
+            done();
+        });
+    });
+
+    it('uninstalls store apps which are not in the file only with prune', function (done) {
+        actions.applyPlan([ GIT ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(plan).to.eql([ ]);
+
+            actions.applyPlan([ GIT ], INSTALLED_APPS, USERS, { prune: true }, function (error, plan) {
+                expect(error).to.be(null);
+                expect(actionsOf(plan)).to.eql([ 'uninstall wiki' ]);
+                expect(plan[0].appId).to.be('a2');
+                expect(plan[0].changes).to.eql([ 'io.example.wiki@2.0.0' ]);
+
+                done();
+            });
+        });
+    });
+
+    it('leaves all apps alone for a file without apps', function (done) {
+        actions.applyPlan([ ], INSTALLED_APPS, USERS, {}, function (error, plan) {
+            expect(error).to.be(null);
+            expect(plan).to.eql([ ]);
+
+            // with prune, the store apps are uninstalled but the apps installed with the CLI are not
+            actions.applyPlan([ ], INSTALLED_APPS, USERS, { prune: true }, function (error, plan) {
+                expect(error).to.be(null);
+                expect(actionsOf(plan)).to.eql([ 'uninstall git', 'uninstall wiki' ]);
+
+                done();
+            });
+        });
+    });
+
+    it('fails for apps which are not in the store', function (done) {
+        actions.applyPlan([ { location: 'blog', appstoreId: 'io.example.blog' } ], INSTALLED_APPS, USERS, {}, function (error) {
+            expect(error.message).to.match(/Failed to get app info of io.example.blog from store/);
+
+            done();
+        });
+    });
+});
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var aws = require('../src/machine/aws.js'),
+    expect = require('expect.js'),
+    http = require('http'),
+    url = require('url');
+
+// a stub of the s3 listObjects api with pages of PAGE_SIZE keys
+var PAGE_SIZE = 2;
+var KEYS = [
+    'backups/backup_2016-10-01T03:00:00.000Z-v0.80.0.tar.gz',
+    'backups/backup_2016-10-02T03:00:00.000Z-v0.80.0.tar.gz',
+    'backups/appbackup_wiki_2016-10-02T03:00:00.000Z-v1.0.0.tar.gz',
+    'backups/backup_2016-10-03T03:00:00.000Z-v0.80.1.tar.gz',
+    'backups/backup_2016-10-04T03:00:00.000Z-v0.80.1.tar.gz'
+];
+
+describe('S3 backup listing', function () {
+    var gRequests = [];
+    var gServer = http.createServer(function (req, res) {
+        var query = url.parse(req.url, true).query;
+        gRequests.push(query);
+
+        var keys = KEYS.filter(function (key) { return key.indexOf(query.prefix) === 0 && (!query.marker || key > query.marker); }).sort();
+        var page = keys.slice(0, PAGE_SIZE);
+
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end('<?xml version="1.0" encoding="UTF-8"?><ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+            '<Name>bucket</Name><Prefix>' + query.prefix + '</Prefix><IsTruncated>' + (keys.length > PAGE_SIZE) + '</IsTruncated>' +
+            page.map(function (key) { return '<Contents><Key>' + key + '</Key><Size>1</Size></Contents>'; }).join('') +
+            '</ListBucketResult>');
+    });
+
+    before(function (done) {
+        gServer.listen(0, '127.0.0.1', function () {
+            aws.init({
+                region: 'us-east-1',
+                accessKeyId: 'accessKeyId',
+                secretAccessKey: 'secretAccessKey',
+                endpoint: 'http://127.0.0.1:' + gServer.address().port,
+                s3ForcePathStyle: true
+            });
+
+            done();
+        });
+    });
+
+    after(function (done) {
+        gServer.close(done);
+    });
+
+    it('lists the backups of all pages', function (done) {
+        aws.listBackups('bucket', 'backups', function (error, backups) {
+            expect(error).to.be(null);
+
+            expect(gRequests.length).to.be(3);
+            expect(gRequests[0].prefix).to.be('backups/');
+            expect(gRequests[0].marker).to.be(undefined);
+            expect(gRequests[1].marker).to.be(KEYS.slice().sort()[1]);
+
+            expect(backups.map(function (backup) { return backup.id; })).to.eql([
+                'backup_2016-10-01T03:00:00.000Z-v0.80.0.tar.gz',
+                'backup_2016-10-02T03:00:00.000Z-v0.80.0.tar.gz',
+                'backup_2016-10-03T03:00:00.000Z-v0.80.1.tar.gz',
+                'backup_2016-10-04T03:00:00.000Z-v0.80.1.tar.gz'
+            ]);
+            expect(backups[3].version).to.be('0.80.1');
+
+            done();
+        });
+    });
+});
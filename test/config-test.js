@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global beforeEach:false */
+/* global after:false */
+
+'use strict';
+
+var execFileSync = require('child_process').execFileSync,
+    expect = require('expect.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf'),
+    _ = require('underscore');
+
+// the config module reads ~/.cloudron.json when it is loaded, so every check runs in its own process
+var HOME = path.join(os.tmpdir(), 'cloudron-config-test');
+var CONFIG_FILE_PATH = path.join(HOME, '.cloudron.json');
+
+function writeConfig(config) {
+    fs.writeFileSync(CONFIG_FILE_PATH, JSON.stringify(config));
+}
+
+function readConfig() {
+    return JSON.parse(fs.readFileSync(CONFIG_FILE_PATH, 'utf8'));
+}
+
+// runs script with the config module as 'config' and returns its output
+function run(script, env) {
+    var code = 'var config = require(' + JSON.stringify(path.join(__dirname, '../src/config.js')) + ');' + script;
+
+    return execFileSync(process.execPath, [ '-e', code ], {
+        env: _.extend({ HOME: HOME, PATH: process.env.PATH, CLOUDRON_NON_INTERACTIVE: '1' }, env || {}),
+        stdio: [ 'ignore', 'pipe', 'pipe' ]
+    }).toString('utf8').trim();
+}
+
+describe('Config', function () {
+    var profile = { cloudron: 'example.com', apiEndpoint: 'my.example.com', provider: 'ec2' };
+
+    beforeEach(function () {
+        rimraf.sync(HOME);
+        fs.mkdirSync(HOME);
+    });
+
+    after(function () {
+        rimraf.sync(HOME);
+    });
+
+    it('keeps tokens in the config file by default', function () {
+        writeConfig({ currentProfile: 'example.com', profiles: { 'example.com': profile } });
+
+        run('config.set("token", "token1");');
+
+        expect(readConfig().profiles['example.com'].token).to.be('token1');
+        expect(readConfig().credentialStore).to.be(undefined);
+        expect(run('console.log(config.token());')).to.be('token1');
+    });
+
+    it('does not migrate plaintext tokens without being asked', function () {
+        writeConfig({ currentProfile: 'example.com', profiles: { 'example.com': { cloudron: 'example.com', token: 'token1' } } });
+
+        expect(run('console.log(config.token());')).to.be('token1');
+        expect(readConfig().profiles['example.com'].token).to.be('token1');
+        expect(fs.existsSync(path.join(HOME, '.cloudron.credentials'))).to.be(false);
+    });
+
+    it('moves the tokens into the chosen store and back', function () {
+        writeConfig({ currentProfile: 'example.com', profiles: { 'example.com': { cloudron: 'example.com', token: 'token1' } } });
+
+        run('config.useCredentialStore({ type: "file" });', { CLOUDRON_PASSPHRASE: 'secret' });
+
+        expect(readConfig().profiles['example.com'].token).to.be(undefined);
+        expect(readConfig().credentialStore).to.eql({ type: 'file' });
+        expect(run('console.log(config.token());', { CLOUDRON_PASSPHRASE: 'secret' })).to.be('token1');
+
+        run('config.useCredentialStore({ type: "config" });', { CLOUDRON_PASSPHRASE: 'secret' });
+
+        expect(readConfig().profiles['example.com'].token).to.be('token1');
+        expect(readConfig().credentialStore).to.be(undefined);
+    });
+
+    it('neither reads nor stores a token with CLOUDRON_TOKEN', function () {
+        // the encrypted store would fail without CLOUDRON_PASSPHRASE in this non-interactive process
+        writeConfig({ currentProfile: 'example.com', profiles: { 'example.com': profile }, credentialStore: { type: 'file' } });
+
+        expect(run('config.set("token", "token2"); console.log(config.token());', { CLOUDRON_TOKEN: 'token1' })).to.be('token1');
+        expect(fs.existsSync(path.join(HOME, '.cloudron.credentials'))).to.be(false);
+    });
+});
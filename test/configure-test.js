@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+
+'use strict';
+
+var actions = require('../src/app/actions.js'),
+    expect = require('expect.js');
+
+describe('App configuration', function () {
+    describe('memory limit', function () {
+        it('parses sizes in M and G', function () {
+            expect(actions.parseMemoryLimit('512M')).to.be(512 * 1024 * 1024);
+            expect(actions.parseMemoryLimit('512m')).to.be(512 * 1024 * 1024);
+            expect(actions.parseMemoryLimit('2G')).to.be(2 * 1024 * 1024 * 1024);
+        });
+
+        it('takes 0 for the default of the app', function () {
+            expect(actions.parseMemoryLimit('0')).to.be(0);
+            expect(actions.parseMemoryLimit(0)).to.be(0);
+        });
+
+        it('rejects sizes without a unit and invalid values', function () {
+            expect(actions.parseMemoryLimit('512')).to.be(null);
+            expect(actions.parseMemoryLimit('1.5G')).to.be(null);
+            expect(actions.parseMemoryLimit('512K')).to.be(null);
+            expect(actions.parseMemoryLimit('-1M')).to.be(null);
+            expect(actions.parseMemoryLimit('')).to.be(null);
+        });
+    });
+
+    describe('settings description', function () {
+        var users = [ { id: 'u1', username: 'zoe' }, { id: 'u2', username: 'adam' } ];
+
+        it('describes the defaults', function () {
+            expect(actions.describeSettings({ location: '', portBindings: {}, accessRestriction: null, oauthProxy: false, memoryLimit: 0, altDomain: null }, users)).to.eql({
+                location: '<bare domain>',
+                ports: 'none',
+                access: 'everyone',
+                'oauth proxy': 'no',
+                'memory limit': 'default',
+                'alternate domain': 'none'
+            });
+        });
+
+        it('describes ports, access, memory limit and alternate domain', function () {
+            var settings = {
+                location: 'git',
+                portBindings: { SSH_PORT: 2222, HTTP_PORT: 8080 },
+                accessRestriction: { users: [ 'u1', 'u2', 'u3' ], groups: [ 'staff', 'admins' ] },
+                oauthProxy: true,
+                memoryLimit: 1024 * 1024 * 1024,
+                altDomain: 'git.example.org'
+            };
+
+            expect(actions.describeSettings(settings, users)).to.eql({
+                location: 'git',
+                ports: 'HTTP_PORT=8080, SSH_PORT=2222',
+                access: 'users: adam,u3,zoe groups: admins,staff',
+                'oauth proxy': 'yes',
+                'memory limit': '1024M',
+                'alternate domain': 'git.example.org'
+            });
+        });
+
+        it('describes an access restriction without users or groups', function () {
+            expect(actions.describeSettings({ location: 'wiki', accessRestriction: { groups: [ 'staff' ] } }, users).access).to.be('users: - groups: staff');
+            expect(actions.describeSettings({ location: 'wiki', accessRestriction: { users: [ 'u2' ] } }, users).access).to.be('users: adam groups: -');
+        });
+    });
+
+    describe('port options', function () {
+        var manifest = {
+            tcpPorts: {
+                SSH_PORT: { title: 'SSH', defaultValue: 22 },
+                IRC_PORT: { title: 'IRC', defaultValue: 6667 },
+                GIT_PORT: { title: 'Git', defaultValue: 9418 }
+            }
+        };
+        var app = { manifest: manifest, portBindings: { SSH_PORT: 2222, GIT_PORT: 9418 } }; // IRC_PORT is disabled
+
+        it('starts from the defaults for new apps', function () {
+            expect(actions.portBindingsFromOptions(null, manifest, [ 'SSH_PORT=2222' ])).to.eql({ SSH_PORT: 2222, IRC_PORT: 6667, GIT_PORT: 9418 });
+        });
+
+        it('keeps the bindings and disabled ports of installed apps', function () {
+            expect(actions.portBindingsFromOptions(app, manifest, [ 'GIT_PORT=9419' ])).to.eql({ SSH_PORT: 2222, GIT_PORT: 9419 });
+            expect(actions.portBindingsFromOptions(app, manifest, [ 'SSH_PORT=' ])).to.eql({ GIT_PORT: 9418 });
+            expect(app.portBindings).to.eql({ SSH_PORT: 2222, GIT_PORT: 9418 });
+        });
+
+        it('enables disabled ports when asked', function () {
+            expect(actions.portBindingsFromOptions(app, manifest, [ 'IRC_PORT=6697' ])).to.eql({ SSH_PORT: 2222, IRC_PORT: 6697, GIT_PORT: 9418 });
+        });
+
+        it('adds the defaults of new ports when the manifest changes', function () {
+            var target = { tcpPorts: { SSH_PORT: manifest.tcpPorts.SSH_PORT, IRC_PORT: manifest.tcpPorts.IRC_PORT, HTTP_PORT: { title: 'HTTP', defaultValue: 8080 } } };
+
+            expect(actions.portBindingsFromOptions(app, target, [ 'SSH_PORT=2200' ])).to.eql({ SSH_PORT: 2200, HTTP_PORT: 8080 });
+        });
+    });
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var credentials = require('../src/credentials.js'),
+    expect = require('expect.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-credentials-test');
+var TOKEN = { name: 'profile/example.com', host: 'example.com', username: 'example.com' };
+
+describe('Credential stores', function () {
+    before(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+    });
+
+    after(function () {
+        rimraf.sync(TEST_DIR);
+    });
+
+    describe('file', function () {
+        var filePath = path.join(TEST_DIR, 'credentials');
+
+        function passphrase(value) { return function () { return value; }; }
+
+        it('encrypts and reads back tokens', function () {
+            var store = credentials.fileStore(filePath, passphrase('secret'));
+            store.set(TOKEN, 'token1');
+
+            expect(fs.readFileSync(filePath, 'utf8')).to.not.contain('token1');
+            expect(fs.statSync(filePath).mode & parseInt('0777', 8)).to.be(credentials.SECRET_FILE_MODE);
+            expect(credentials.fileStore(filePath, passphrase('secret')).get(TOKEN)).to.be('token1');
+        });
+
+        it('removes tokens', function () {
+            credentials.fileStore(filePath, passphrase('secret')).unset(TOKEN);
+
+            expect(credentials.fileStore(filePath, passphrase('secret')).get(TOKEN)).to.be(undefined);
+        });
+
+        it('fails with a wrong passphrase', function () {
+            credentials.fileStore(filePath, passphrase('secret')).set(TOKEN, 'token2');
+
+            expect(function () { credentials.fileStore(filePath, passphrase('wrong')).get(TOKEN); }).to.throwError(/Wrong passphrase/);
+        });
+
+        it('fails if the file was tampered with', function () {
+            var data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            var tag = Buffer.from(data.tag, 'base64');
+            tag[0] ^= 1;
+            data.tag = tag.toString('base64');
+            fs.writeFileSync(filePath, JSON.stringify(data));
+
+            expect(function () { credentials.fileStore(filePath, passphrase('secret')).get(TOKEN); }).to.throwError(/Unable to decrypt/);
+        });
+    });
+
+    describe('helper', function () {
+        var helperPath = path.join(TEST_DIR, 'helper.sh');
+        var storePath = path.join(TEST_DIR, 'helper-store');
+
+        // a credential helper that keeps the last stored credential in a file
+        before(function () {
+            fs.writeFileSync(helperPath, [
+                '#!/bin/sh',
+                'case "$1" in',
+                '  store) cat > ' + storePath + ' ;;',
+                '  get) cat > /dev/null; grep "^password=" ' + storePath + ' 2>/dev/null || true ;;',
+                '  erase) cat > /dev/null; rm -f ' + storePath + ' ;;',
+                'esac'
+            ].join('\n'), { mode: parseInt('0755', 8) });
+        });
+
+        it('stores tokens with the git credential protocol', function () {
+            var store = credentials.helperStore(helperPath);
+            store.set(TOKEN, 'token3');
+
+            var stored = fs.readFileSync(storePath, 'utf8');
+            expect(stored).to.contain('protocol=https\n');
+            expect(stored).to.contain('host=example.com\n');
+            expect(stored).to.contain('username=example.com\n');
+            expect(stored).to.contain('password=token3\n');
+            expect(store.get(TOKEN)).to.be('token3');
+        });
+
+        it('erases tokens', function () {
+            var store = credentials.helperStore(helperPath);
+            store.unset(TOKEN);
+
+            expect(store.get(TOKEN)).to.be(undefined);
+        });
+
+        it('fails if the helper fails', function () {
+            expect(function () { credentials.helperStore('cat > /dev/null; exit 3;').get(TOKEN); }).to.throwError(/failed with code 3/);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var decrypt = require('../src/backup/decrypt.js'),
+    execSync = require('child_process').execSync,
+    expect = require('expect.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf'),
+    zlib = require('zlib');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-decrypt-test');
+var KEY = 'backup key';
+
+describe('Backup decryption', function () {
+    var plaintext = zlib.gzipSync(Buffer.from(new Array(5000).join('cloudron backup ')));
+
+    function file(name) { return path.join(TEST_DIR, name); }
+
+    // encrypts the plaintext with the openssl binary. mdArgs select the digest of EVP_BytesToKey
+    function opensslEncrypt(name, mdArgs) {
+        execSync('openssl enc -aes-256-cbc ' + mdArgs + ' -in ' + file('plain.tar.gz') + ' -out ' + file(name) + ' -pass env:KEY', { env: { PATH: process.env.PATH, KEY: KEY }, stdio: 'pipe' });
+    }
+
+    before(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+        fs.writeFileSync(file('plain.tar.gz'), plaintext);
+
+        opensslEncrypt('md5.enc', '-md md5');
+        opensslEncrypt('sha256.enc', '-md sha256');
+        opensslEncrypt('default.enc', '');
+    });
+
+    after(function () {
+        rimraf.sync(TEST_DIR);
+    });
+
+    [ 'md5.enc', 'sha256.enc', 'default.enc' ].forEach(function (name) {
+        it('decrypts ' + name + ' of openssl enc and detects the digest', function (done) {
+            decrypt.decryptFile(file(name), file(name + '.out'), KEY, function (error) {
+                expect(error).to.be(null);
+                expect(fs.readFileSync(file(name + '.out')).equals(plaintext)).to.be(true);
+
+                done();
+            });
+        });
+    });
+
+    it('decrypts with the given digest', function (done) {
+        decrypt.decryptFile(file('sha256.enc'), file('sha256.enc.given'), KEY, 'sha256', function (error) {
+            expect(error).to.be(null);
+            expect(fs.readFileSync(file('sha256.enc.given')).equals(plaintext)).to.be(true);
+
+            done();
+        });
+    });
+
+    it('fails with a wrong key', function (done) {
+        decrypt.decryptFile(file('md5.enc'), file('wrong.out'), 'wrong key', function (error) {
+            expect(error.message).to.match(/Wrong key/);
+
+            done();
+        });
+    });
+
+    it('fails for files which are not encrypted', function (done) {
+        decrypt.decryptFile(file('plain.tar.gz'), file('plain.out'), KEY, function (error) {
+            expect(error.message).to.match(/Salted__ header is missing/);
+
+            done();
+        });
+    });
+});
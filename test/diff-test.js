@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+
+'use strict';
+
+var backupDiff = require('../src/backup/diff.js'),
+    expect = require('expect.js');
+
+function entry(entryPath, size, mtime) {
+    return { path: entryPath, type: entryPath.slice(-1) === '/' ? 'directory' : 'file', size: size || 0, mtime: new Date(mtime || '2016-10-19T00:00:00Z') };
+}
+
+describe('Backup diff', function () {
+    var listingA = {
+        apps: [ { path: 'blog/config.json', id: 'io.example.blog', version: '1.0.0', location: 'blog' } ],
+        entries: [ entry('box.sql', 10), entry('blog/config.json', 5), entry('blog/data/', 0, '2016-10-01T00:00:00Z'), entry('blog/data/post', 7), entry('blog/data/old', 3) ]
+    };
+
+    var listingB = {
+        apps: [ { path: 'blog/config.json', id: 'io.example.blog', version: '1.0.0', location: 'blog' } ],
+        entries: [ entry('box.sql', 10), entry('blog/config.json', 5), entry('blog/data/'), entry('blog/data/post', 8), entry('blog/data/new', 1) ]
+    };
+
+    it('groups entries by app', function () {
+        var groups = backupDiff.groupByApp(listingA);
+
+        expect(Object.keys(groups).sort()).to.eql([ '(box)', 'blog' ]);
+        expect(groups.blog.entries['data/post'].size).to.be(7);
+        expect(groups['(box)'].entries['box.sql']).to.be.ok();
+    });
+
+    it('reports added, removed and modified files per app', function () {
+        var results = backupDiff.diff(backupDiff.groupByApp(listingA), backupDiff.groupByApp(listingB));
+
+        expect(results.length).to.be(1);
+        expect(results[0].app).to.be('blog');
+        expect(results[0].added).to.eql([ 'data/new' ]);
+        expect(results[0].removed).to.eql([ 'data/old' ]);
+        expect(results[0].modified.map(function (m) { return m.path; })).to.eql([ 'data/post' ]);
+    });
+});
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var docker = require('../src/docker.js'),
+    expect = require('expect.js'),
+    fs = require('fs'),
+    helper = require('../src/helper.js'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf'),
+    tar = require('tar-fs'),
+    url = require('url');
+
+var SOCKET_PATH = path.join(os.tmpdir(), 'cloudron-docker-test.sock');
+var SOURCE_DIR = path.join(os.tmpdir(), 'cloudron-docker-test-source');
+
+// a stub of the docker api which records the requests
+var gRequests = [];
+var gServer = http.createServer(function (req, res) {
+    var request = { method: req.method, url: url.parse(req.url, true), headers: req.headers, files: [] };
+    gRequests.push(request);
+
+    if (request.url.pathname === '/build') {
+        var extract = tar.extract(path.join(os.tmpdir(), 'cloudron-docker-test-context'), {
+            ignore: function (name, header) {
+                request.files.push(header.name);
+                return true;
+            }
+        });
+
+        extract.on('finish', function () {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            if (request.url.query.t === 'fail') return res.end(JSON.stringify({ error: 'The command returned a non-zero code: 1' }) + '\n');
+
+            res.write(JSON.stringify({ stream: 'Step 1 : FROM cloudron/base:0.8.1\n' }) + '\n');
+            res.end(JSON.stringify({ stream: 'Successfully built 1234\n' }) + '\n');
+        });
+
+        return req.pipe(extract);
+    }
+
+    if (request.url.pathname.match(/^\/images\/.*\/push$/)) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.write(JSON.stringify({ status: 'The push refers to a repository' }) + '\n');
+        return res.end(JSON.stringify({ status: request.url.query.tag + ': digest: sha256:1234' }) + '\n');
+    }
+
+    res.writeHead(404);
+    res.end('not found');
+});
+
+describe('Docker', function () {
+    before(function (done) {
+        rimraf.sync(SOCKET_PATH);
+        rimraf.sync(SOURCE_DIR);
+
+        fs.mkdirSync(SOURCE_DIR);
+        fs.mkdirSync(path.join(SOURCE_DIR, 'node_modules'));
+        fs.writeFileSync(path.join(SOURCE_DIR, 'Dockerfile'), 'FROM cloudron/base:0.8.1\n');
+        fs.writeFileSync(path.join(SOURCE_DIR, 'server.js'), '');
+        fs.writeFileSync(path.join(SOURCE_DIR, 'node_modules/module.js'), '');
+        fs.writeFileSync(path.join(SOURCE_DIR, '.dockerignore'), 'node_modules\n');
+
+        gServer.listen(SOCKET_PATH, done);
+    });
+
+    after(function (done) {
+        rimraf.sync(SOURCE_DIR);
+        gServer.close(done);
+    });
+
+    describe('build', function () {
+        it('sends the context without ignored files', function (done) {
+            var messages = [];
+            var options = {
+                socketPath: SOCKET_PATH,
+                sourceDir: SOURCE_DIR,
+                tag: 'registry.example.com/test/io.example.app:20160101000000',
+                ignore: helper.dockerignoreMatcher(path.join(SOURCE_DIR, '.dockerignore'))
+            };
+
+            docker.build(options, messages.push.bind(messages), function (error) {
+                expect(error).to.be(null);
+
+                var request = gRequests.pop();
+                expect(request.method).to.be('POST');
+                expect(request.url.query.t).to.be('registry.example.com/test/io.example.app:20160101000000');
+                expect(request.files).to.contain('Dockerfile');
+                expect(request.files).to.contain('server.js');
+                expect(request.files).to.not.contain('node_modules/module.js');
+                expect(messages.length).to.be(2);
+
+                done();
+            });
+        });
+
+        it('fails on build errors', function (done) {
+            var options = { socketPath: SOCKET_PATH, sourceDir: SOURCE_DIR, tag: 'fail', ignore: function () { return false; } };
+
+            docker.build(options, function () {}, function (error) {
+                expect(error).to.be.an(Error);
+                expect(error.message).to.contain('non-zero code');
+
+                done();
+            });
+        });
+
+        it('fails without docker', function (done) {
+            var options = { socketPath: SOCKET_PATH + '.missing', sourceDir: SOURCE_DIR, tag: 'test', ignore: function () { return false; } };
+
+            docker.build(options, function () {}, function (error) {
+                expect(error).to.be.an(Error);
+                expect(error.message).to.contain('Cannot connect to docker');
+
+                done();
+            });
+        });
+    });
+
+    describe('push', function () {
+        it('pushes the tag to the registry', function (done) {
+            var options = { socketPath: SOCKET_PATH, image: 'localhost:5000/io.example.app:20160101000000' };
+
+            docker.push(options, function () {}, function (error) {
+                expect(error).to.be(null);
+
+                var request = gRequests.pop();
+                expect(request.url.pathname).to.be('/images/localhost:5000/io.example.app/push');
+                expect(request.url.query.tag).to.be('20160101000000');
+
+                var auth = JSON.parse(Buffer.from(request.headers['x-registry-auth'], 'base64').toString('utf8'));
+                expect(auth.serveraddress).to.be('localhost:5000');
+
+                done();
+            });
+        });
+    });
+
+    describe('registry auth', function () {
+        var home = process.env.HOME;
+
+        function decode(auth) {
+            return JSON.parse(Buffer.from(auth, 'base64').toString('utf8'));
+        }
+
+        before(function () {
+            var auths = {
+                'https://index.docker.io/v1/': { auth: Buffer.from('hubuser:hubpass').toString('base64') },
+                'registry.example.com': { auth: Buffer.from('user:pass').toString('base64') }
+            };
+
+            fs.mkdirSync(path.join(SOURCE_DIR, '.docker'));
+            fs.writeFileSync(path.join(SOURCE_DIR, '.docker/config.json'), JSON.stringify({ auths: auths }));
+            process.env.HOME = SOURCE_DIR;
+        });
+
+        after(function () {
+            process.env.HOME = home;
+        });
+
+        it('uses the docker hub credentials for images without a registry and docker.io images', function () {
+            [ 'girish/app', 'docker.io/girish/app', 'index.docker.io/girish/app' ].forEach(function (image) {
+                var auth = decode(docker.registryAuth(image));
+
+                expect(auth.serveraddress).to.be('https://index.docker.io/v1/');
+                expect(auth.username).to.be('hubuser');
+                expect(auth.password).to.be('hubpass');
+            });
+        });
+
+        it('uses the credentials of other registries', function () {
+            expect(decode(docker.registryAuth('registry.example.com/app')).username).to.be('user');
+            expect(decode(docker.registryAuth('localhost:5000/app'))).to.eql({ serveraddress: 'localhost:5000' });
+        });
+    });
+});
@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global beforeEach:false */
+/* global after:false */
+
+'use strict';
+
+var crypto = require('crypto'),
+    download = require('../src/backup/download.js'),
+    expect = require('expect.js'),
+    fs = require('fs'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-download-test');
+
+describe('Backup download', function () {
+    var content = crypto.randomBytes(100000);
+    var partFilePath = path.join(TEST_DIR, 'backup.tar.gz.part');
+    var gRequests = [], gMode;
+
+    // serves content with range support. 'ignore-range' answers every request with the whole content, 'truncate'
+    // closes the connection half way
+    var gServer = http.createServer(function (req, res) {
+        gRequests.push({ range: req.headers.range || null });
+
+        if (req.url !== '/backup.tar.gz') {
+            res.writeHead(404);
+            return res.end();
+        }
+
+        var match = /^bytes=(\d+)-$/.exec(req.headers.range || '');
+        var start = match && gMode !== 'ignore-range' ? parseInt(match[1], 10) : 0;
+
+        if (start >= content.length) {
+            res.writeHead(416, { 'Content-Range': 'bytes */' + content.length });
+            return res.end();
+        }
+
+        if (gMode === 'truncate') {
+            res.writeHead(200, { 'Content-Length': content.length });
+            res.write(content.slice(0, content.length / 2));
+            return setTimeout(function () { res.destroy(); }, 50);
+        }
+
+        if (!match || gMode === 'ignore-range') {
+            res.writeHead(200, { 'Content-Length': content.length });
+            return res.end(content);
+        }
+
+        res.writeHead(206, { 'Content-Length': content.length - start, 'Content-Range': 'bytes ' + start + '-' + (content.length - 1) + '/' + content.length });
+        res.end(content.slice(start));
+    });
+
+    function downloadUrl() {
+        return 'http://127.0.0.1:' + gServer.address().port + '/backup.tar.gz';
+    }
+
+    before(function (done) {
+        gServer.listen(0, '127.0.0.1', done);
+    });
+
+    after(function (done) {
+        rimraf.sync(TEST_DIR);
+        gServer.close(done);
+    });
+
+    beforeEach(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+        gRequests = [];
+        gMode = null;
+    });
+
+    describe('resume', function () {
+        it('downloads the whole file without a part file', function (done) {
+            download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                expect(error).to.be(null);
+                expect(gRequests).to.eql([ { range: null } ]);
+                expect(fs.readFileSync(partFilePath).equals(content)).to.be(true);
+
+                done();
+            });
+        });
+
+        it('requests the rest of a partial download with a range', function (done) {
+            fs.writeFileSync(partFilePath, content.slice(0, 30000));
+
+            download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                expect(error).to.be(null);
+                expect(gRequests).to.eql([ { range: 'bytes=30000-' } ]);
+                expect(fs.readFileSync(partFilePath).equals(content)).to.be(true);
+
+                done();
+            });
+        });
+
+        it('keeps a complete part file if the range is not satisfiable', function (done) {
+            fs.writeFileSync(partFilePath, content);
+
+            download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                expect(error).to.be(null);
+                expect(gRequests).to.eql([ { range: 'bytes=100000-' } ]);
+                expect(fs.readFileSync(partFilePath).equals(content)).to.be(true);
+
+                done();
+            });
+        });
+
+        it('starts over if the server ignores the range', function (done) {
+            gMode = 'ignore-range';
+            fs.writeFileSync(partFilePath, Buffer.from('stale data of an older download'));
+
+            download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                expect(error).to.be(null);
+                expect(gRequests).to.eql([ { range: 'bytes=31-' } ]);
+                expect(fs.readFileSync(partFilePath).equals(content)).to.be(true);
+
+                done();
+            });
+        });
+
+        it('keeps an interrupted download for the next run', function (done) {
+            gMode = 'truncate';
+
+            download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                expect(error.message).to.match(/Run the command again to resume/);
+
+                var size = fs.statSync(partFilePath).size;
+                expect(size).to.be.greaterThan(0);
+                expect(size).to.be.lessThan(content.length);
+
+                gMode = null;
+                download.downloadPart(downloadUrl(), partFilePath, false, function (error) {
+                    expect(error).to.be(null);
+                    expect(gRequests[1]).to.eql({ range: 'bytes=' + size + '-' });
+                    expect(fs.readFileSync(partFilePath).equals(content)).to.be(true);
+
+                    done();
+                });
+            });
+        });
+
+        it('fails for other status codes', function (done) {
+            download.downloadPart('http://127.0.0.1:' + gServer.address().port + '/missing', partFilePath, false, function (error) {
+                expect(error.message).to.be('Failed to download backup. Status code 404');
+                expect(fs.existsSync(partFilePath)).to.be(false);
+
+                done();
+            });
+        });
+    });
+
+    describe('checksum', function () {
+        var filePath = path.join(TEST_DIR, 'backup.tar.gz');
+
+        it('writes a sidecar in the format of sha256sum', function (done) {
+            fs.writeFileSync(filePath, content);
+
+            download.writeChecksum(filePath, function (error) {
+                expect(error).to.not.be.ok();
+                expect(fs.readFileSync(download.checksumFilePath(filePath), 'utf8')).to.be(crypto.createHash('sha256').update(content).digest('hex') + '  backup.tar.gz\n');
+
+                download.verify(filePath, function (error, checksum) {
+                    expect(error).to.be(null);
+                    expect(checksum).to.be(crypto.createHash('sha256').update(content).digest('hex'));
+
+                    done();
+                });
+            });
+        });
+
+        it('detects a modified file', function (done) {
+            fs.writeFileSync(filePath, content);
+
+            download.writeChecksum(filePath, function (error) {
+                expect(error).to.not.be.ok();
+
+                fs.appendFileSync(filePath, 'x');
+
+                download.verify(filePath, function (error) {
+                    expect(error.message).to.match(/Checksum mismatch/);
+
+                    done();
+                });
+            });
+        });
+
+        it('fails without a sidecar', function (done) {
+            fs.writeFileSync(filePath, content);
+
+            download.verify(filePath, function (error) {
+                expect(error.message).to.match(/No checksum file/);
+
+                done();
+            });
+        });
+    });
+});
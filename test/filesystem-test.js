@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var execSync = require('child_process').execSync,
+    expect = require('expect.js'),
+    filesystem = require('../src/machine/filesystem.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-filesystem-test');
+var KEY = 'backup key';
+
+// the backup folders have a space and a quote to check the quoting of the remote commands
+var SOURCE_FOLDER = path.join(TEST_DIR, 'source backups\'');
+var TARGET_FOLDER = path.join(TEST_DIR, 'target backups\'');
+
+var BOX_BACKUP = 'backup_2016-10-02T03:00:00.000Z-v1.0.0.tar.gz';
+var APP_BACKUP = 'appbackup_wiki_2016-10-02T03:00:00.000Z-v1.0.0.tar.gz';
+
+describe('Filesystem backups', function () {
+    var originalPath = process.env.PATH;
+
+    function file(name) { return path.join(TEST_DIR, name); }
+
+    before(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+        fs.mkdirSync(SOURCE_FOLDER);
+        fs.mkdirSync(path.join(TEST_DIR, 'bin'));
+
+        // a fake ssh which runs the remote command locally and logs the host it was run on
+        fs.writeFileSync(path.join(TEST_DIR, 'bin', 'ssh'), [
+            '#!/bin/sh',
+            'echo "${1#root@}" >> "' + file('hosts.log') + '"',
+            'shift',
+            'while [ $# -gt 0 ]; do',
+            '    case "$1" in',
+            '        -p|-o|-i) shift 2 ;;',
+            '        -tt) shift ;;',
+            '        *) break ;;',
+            '    esac',
+            'done',
+            'exec sh -c "$*"',
+            ''
+        ].join('\n'), { mode: parseInt('755', 8) });
+
+        process.env.PATH = path.join(TEST_DIR, 'bin') + ':' + originalPath;
+
+        fs.writeFileSync(path.join(SOURCE_FOLDER, BOX_BACKUP), 'box backup');
+        fs.writeFileSync(path.join(SOURCE_FOLDER, APP_BACKUP), 'app backup');
+        fs.writeFileSync(path.join(SOURCE_FOLDER, 'backup_notadate-v1.0.0.tar.gz'), '');
+        fs.writeFileSync(path.join(SOURCE_FOLDER, 'lost+found'), '');
+
+        fs.writeFileSync(file('plain.tar.gz'), 'encrypted box backup');
+        execSync('openssl enc -aes-256-cbc -md md5 -in ' + file('plain.tar.gz') + ' -out "' + path.join(SOURCE_FOLDER, 'backup_2016-10-03T03:00:00.000Z-v1.0.0.tar.gz') + '" -pass env:KEY', { env: { PATH: originalPath, KEY: KEY }, stdio: 'pipe' });
+    });
+
+    after(function () {
+        process.env.PATH = originalPath;
+        rimraf.sync(TEST_DIR);
+    });
+
+    it('reads the backups from my.<domain> unless a backup host is given', function () {
+        expect(filesystem.backupHost('example.com', {})).to.be('my.example.com');
+        expect(filesystem.backupHost('example.com', { backupHost: 'nas.example.com' })).to.be('nas.example.com');
+    });
+
+    it('lists the box backups of the folder', function (done) {
+        filesystem.listBackups('my.example.com', null, SOURCE_FOLDER, function (error, backups) {
+            expect(error).to.be(null);
+            expect(backups.map(function (b) { return b.id; }).sort()).to.eql([ BOX_BACKUP, 'backup_2016-10-03T03:00:00.000Z-v1.0.0.tar.gz' ]);
+
+            var backup = backups.filter(function (b) { return b.id === BOX_BACKUP; })[0];
+            expect(backup.creationTime).to.be('2016-10-02T03:00:00.000Z');
+            expect(backup.version).to.be('1.0.0');
+
+            done();
+        });
+    });
+
+    it('fails to list a missing folder', function (done) {
+        filesystem.listBackups('my.example.com', null, path.join(TEST_DIR, 'missing'), function (error) {
+            expect(error.message).to.match(/Unable to list backups/);
+
+            done();
+        });
+    });
+
+    it('downloads a backup and writes its checksum', function (done) {
+        filesystem.download('my.example.com', null, SOURCE_FOLDER, BOX_BACKUP, file(BOX_BACKUP), null, function (error) {
+            expect(error).to.be(null);
+            expect(fs.readFileSync(file(BOX_BACKUP), 'utf8')).to.be('box backup');
+            expect(fs.readFileSync(file(BOX_BACKUP + '.sha256'), 'utf8')).to.contain('  ' + BOX_BACKUP);
+
+            done();
+        });
+    });
+
+    it('decrypts a downloaded backup with the backup key', function (done) {
+        filesystem.download('my.example.com', null, SOURCE_FOLDER, 'backup_2016-10-03T03:00:00.000Z-v1.0.0.tar.gz', file('decrypted.tar.gz'), KEY, function (error) {
+            expect(error).to.be(null);
+            expect(fs.readFileSync(file('decrypted.tar.gz'), 'utf8')).to.be('encrypted box backup');
+
+            done();
+        });
+    });
+
+    it('fails to download a missing backup and removes the partial file', function (done) {
+        filesystem.download('my.example.com', null, SOURCE_FOLDER, 'backup_missing.tar.gz', file('missing.tar.gz'), null, function (error) {
+            expect(error.message).to.match(/Unable to copy backup_missing.tar.gz/);
+            expect(fs.existsSync(file('missing.tar.gz'))).to.be(false);
+            expect(fs.existsSync(file('missing.tar.gz.part'))).to.be(false);
+
+            done();
+        });
+    });
+
+    it('copies a backup into the backup folder of another server', function (done) {
+        fs.writeFileSync(file('hosts.log'), '');
+
+        var source = { host: 'my.example.com', sshKey: null, backupFolder: SOURCE_FOLDER };
+        var target = { host: '10.0.0.1', sshKey: null, backupFolder: TARGET_FOLDER };
+
+        filesystem.copy(source, target, APP_BACKUP, function (error) {
+            expect(error).to.be(null);
+            expect(fs.readFileSync(path.join(TARGET_FOLDER, APP_BACKUP), 'utf8')).to.be('app backup');
+            expect(fs.existsSync(path.join(TARGET_FOLDER, APP_BACKUP + '.part'))).to.be(false);
+
+            var hosts = fs.readFileSync(file('hosts.log'), 'utf8').trim().split('\n');
+            expect(hosts.sort()).to.eql([ '10.0.0.1', '10.0.0.1', 'my.example.com' ]);
+
+            done();
+        });
+    });
+
+    it('does not leave a file behind if the backup cannot be read', function (done) {
+        var source = { host: 'my.example.com', sshKey: null, backupFolder: SOURCE_FOLDER };
+        var target = { host: '10.0.0.1', sshKey: null, backupFolder: TARGET_FOLDER };
+
+        filesystem.copy(source, target, 'backup_missing.tar.gz', function (error) {
+            expect(error.message).to.match(/failed on my.example.com/);
+            expect(fs.existsSync(path.join(TARGET_FOLDER, 'backup_missing.tar.gz'))).to.be(false);
+            expect(fs.existsSync(path.join(TARGET_FOLDER, 'backup_missing.tar.gz.part'))).to.be(false);
+
+            done();
+        });
+    });
+});
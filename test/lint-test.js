@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global beforeEach:false */
+/* global after:false */
+
+'use strict';
+
+var appstoreActions = require('../src/app/appstoreActions.js'),
+    expect = require('expect.js'),
+    fs = require('fs'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf'),
+    _ = require('underscore');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-lint-test');
+
+var MANIFEST = {
+    id: 'io.example.app',
+    manifestVersion: 1,
+    version: '1.2.0',
+    title: 'Example',
+    author: 'Example Author <author@example.com>',
+    description: 'file://DESCRIPTION.md',
+    changelog: 'file://CHANGELOG',
+    tagline: 'An example app',
+    website: 'https://example.com',
+    contactEmail: 'support@example.com',
+    healthCheckPath: '/',
+    httpPort: 8000,
+    tcpPorts: {
+        SSH_PORT: { title: 'SSH', description: 'SSH port', containerPort: 22, defaultValue: 2222 }
+    },
+    tags: [ 'example' ],
+    mediaLinks: [ 'https://example.com/screenshot.png' ],
+    icon: 'file://logo.png'
+};
+
+function file(name) { return path.join(TEST_DIR, name); }
+
+// only the header of a png is checked
+function png(width, height) {
+    var data = Buffer.alloc(33);
+    Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').copy(data);
+    data.writeUInt32BE(width, 16);
+    data.writeUInt32BE(height, 20);
+    return data;
+}
+
+// writes the manifest with the changes and returns the lint results as 'level check: message'
+function lint(changes) {
+    fs.writeFileSync(file('CloudronManifest.json'), JSON.stringify(_.extend({}, MANIFEST, changes || {})));
+
+    return appstoreActions.lintManifest(file('CloudronManifest.json')).map(function (result) {
+        return result.level + ' ' + result.check + ': ' + result.message;
+    });
+}
+
+describe('Manifest lint', function () {
+    beforeEach(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+
+        fs.writeFileSync(file('Dockerfile'), 'FROM cloudron/base:0.8.1\nEXPOSE 8000 22/tcp\nCMD [ "/app/code/start.sh" ]\n');
+        fs.writeFileSync(file('DESCRIPTION.md'), 'An example app');
+        fs.writeFileSync(file('CHANGELOG'), '[1.1.0]\n* Older changes\n\n[1.2.0]\n* New changes\n');
+        fs.writeFileSync(file('logo.png'), png(256, 256));
+    });
+
+    after(function () {
+        rimraf.sync(TEST_DIR);
+    });
+
+    it('finds no problems in a valid app', function () {
+        expect(lint()).to.eql([ ]);
+    });
+
+    it('stops at an invalid manifest', function () {
+        fs.writeFileSync(file('CloudronManifest.json'), '{ "id": ');
+        expect(appstoreActions.lintManifest(file('CloudronManifest.json'))[0].check).to.be('manifest');
+
+        var results = lint({ httpPort: 'http' });
+        expect(results.length).to.be(1);
+        expect(results[0]).to.match(/^error manifest: /);
+    });
+
+    it('checks the appstore requirements', function () {
+        expect(lint({ tags: [ ] })).to.eql([ 'error appstore: tags is empty in manifest' ]);
+    });
+
+    it('checks the base image of the Dockerfile', function () {
+        fs.writeFileSync(file('Dockerfile'), 'FROM ubuntu:16.04\nEXPOSE 8000 22\n');
+        expect(lint()).to.eql([ 'error dockerfile: Base image must be cloudron/base:0.5.0' ]);
+
+        fs.writeFileSync(file('Dockerfile'), 'FROM cloudron/base:latest\nEXPOSE 8000 22\n');
+        expect(lint()).to.eql([ 'error dockerfile: Invalid base image version' ]);
+    });
+
+    it('checks that the referenced files exist', function () {
+        fs.unlinkSync(file('DESCRIPTION.md'));
+
+        expect(lint({ icon: 'icon.png' })).to.eql([
+            'error files: icon file ' + file('icon.png') + ' does not exist',
+            'error files: description file ' + file('DESCRIPTION.md') + ' does not exist'
+        ]);
+    });
+
+    it('checks that the changelog has the version', function () {
+        expect(lint({ version: '1.3.0' })).to.eql([ 'error changelog: ' + file('CHANGELOG') + ' has no entry for version 1.3.0' ]);
+    });
+
+    it('checks that the httpPort is exposed', function () {
+        expect(lint({ httpPort: 3000 })).to.eql([ 'error ports: httpPort 3000 is not EXPOSEd in the Dockerfile' ]);
+    });
+
+    it('checks that the tcpPorts do not use the httpPort or the same port', function () {
+        var tcpPorts = {
+            SSH_PORT: { title: 'SSH', description: 'SSH port', containerPort: 22, defaultValue: 2222 },
+            GIT_PORT: { title: 'Git', description: 'Git port', containerPort: 22, defaultValue: 2223 },
+            WEB_PORT: { title: 'Web', description: 'Web port', containerPort: 8000, defaultValue: 8000 }
+        };
+
+        expect(lint({ tcpPorts: tcpPorts })).to.eql([
+            'error ports: tcpPorts SSH_PORT and GIT_PORT both use port 22',
+            'error ports: tcpPort WEB_PORT uses the httpPort 8000'
+        ]);
+    });
+
+    it('warns about tcpPorts without defaultValue or which are not exposed', function () {
+        var tcpPorts = {
+            SSH_PORT: { title: 'SSH', description: 'SSH port', containerPort: 22 },
+            IRC_PORT: { title: 'IRC', description: 'IRC port', defaultValue: 6667 }
+        };
+
+        expect(lint({ tcpPorts: tcpPorts })).to.eql([
+            'warning ports: tcpPort SSH_PORT has no defaultValue',
+            'warning ports: tcpPort IRC_PORT (6667) is not EXPOSEd in the Dockerfile'
+        ]);
+    });
+
+    it('checks the icon', function () {
+        fs.writeFileSync(file('logo.png'), png(256, 128));
+        expect(lint()).to.eql([ 'error icon: icon is not square (256x128)' ]);
+
+        fs.writeFileSync(file('logo.png'), png(64, 64));
+        expect(lint()).to.eql([ 'warning icon: icon should be between 128x128 and 1024x1024, it is 64x64' ]);
+
+        fs.writeFileSync(file('logo.png'), 'GIF89a');
+        expect(lint()).to.eql([ 'warning icon: icon is not a PNG file' ]);
+    });
+});
@@ -0,0 +1,39 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+
+'use strict';
+
+var expect = require('expect.js'),
+    helper = require('../src/helper.js');
+
+function app(id, location, fqdn, title) {
+    return { id: id, location: location, fqdn: fqdn, manifest: { title: title } };
+}
+
+describe('App selection', function () {
+    var apps = [
+        app('a1', 'wiki', 'wiki.example.com', 'Wiki'),
+        app('a2', 'blog', 'blog.example.com', 'Ghost'),
+        app('a3', 'chat', 'chat.example.com', 'Rocket.Chat'),
+        app('a4', '', 'example.com', 'Wiki Two')
+    ];
+
+    it('matches id, location and domain exactly', function () {
+        expect(helper.matchApp(apps, 'a2').app.id).to.be('a2');
+        expect(helper.matchApp(apps, 'blog').app.id).to.be('a2');
+        expect(helper.matchApp(apps, 'Example.com').app.id).to.be('a4');
+        expect(helper.matchApp(apps, 'wiki').app.id).to.be('a1');
+    });
+
+    it('matches a unique title prefix', function () {
+        expect(helper.matchApp(apps, 'rocket').app.id).to.be('a3');
+        expect(helper.matchApp(apps, 'wiki t').app.id).to.be('a4');
+    });
+
+    it('fails for unknown and ambiguous apps', function () {
+        expect(helper.matchApp(apps, 'nextcloud').error).to.match(/not found/);
+        expect(helper.matchApp(apps, 'wi').error).to.match(/Wiki \(wiki.example.com\), Wiki Two \(example.com\)/);
+    });
+});
@@ -0,0 +1,48 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+
+'use strict';
+
+var expect = require('expect.js'),
+    retention = require('../src/backup/retention.js');
+
+function backup(id, creationTime, dependsOn) {
+    return { id: id, creationTime: creationTime, dependsOn: dependsOn || [] };
+}
+
+function kept(steps) {
+    return steps.filter(function (step) { return step.keep; }).map(function (step) { return step.backup.id; });
+}
+
+describe('Retention plan', function () {
+    var backups = [
+        backup('b1', '2016-10-01T03:00:00.000Z'),
+        backup('b2', '2016-10-17T03:00:00.000Z', [ 'a1' ]),
+        backup('b3', '2016-10-18T03:00:00.000Z'),
+        backup('b4', '2016-10-18T15:00:00.000Z'),
+        backup('b5', '2016-10-19T03:00:00.000Z'),
+        backup('a1', '2016-09-30T03:00:00.000Z')
+    ];
+
+    it('keeps the newest backup of each day', function () {
+        var steps = retention.plan(backups, { daily: 2 });
+
+        expect(kept(steps)).to.eql([ 'b5', 'b4' ]);
+        expect(steps[0].reason).to.be('daily 2016-10-19');
+    });
+
+    it('keeps the newest backup of each week and month', function () {
+        expect(kept(retention.plan(backups, { weekly: 1 }))).to.eql([ 'b5' ]);
+        expect(kept(retention.plan(backups, { weekly: 2 }))).to.eql([ 'b5', 'b1' ]);
+        expect(kept(retention.plan(backups, { monthly: 2 }))).to.eql([ 'b5', 'a1' ]);
+    });
+
+    it('keeps the dependencies of kept backups', function () {
+        var steps = retention.plan(backups, { daily: 3 });
+
+        expect(kept(steps)).to.eql([ 'b5', 'b4', 'b2', 'a1' ]);
+        expect(steps[5].reason).to.be('required by b2');
+    });
+});
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var actions = require('../src/app/actions.js'),
+    config = require('../src/config.js'),
+    expect = require('expect.js'),
+    http = require('http');
+
+// the versions route of the store lists the versions in no particular order
+var VERSIONS = [ '1.10.0', '1.2.0', 'latest', '1.9.1', '1.0.0', '2.0.0-beta.1' ].map(function (version) {
+    return { manifest: { id: 'io.example.app', version: version, changelog: 'Changes of ' + version } };
+});
+
+function versions(manifests) {
+    return manifests.map(function (m) { return m.version; });
+}
+
+describe('App update', function () {
+    describe('store versions', function () {
+        var gRequests = [];
+        var gServer = http.createServer(function (req, res) {
+            gRequests.push(req.url);
+
+            if (req.url !== '/api/v1/apps/io.example.app/versions') {
+                res.writeHead(404, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ message: 'not found' }));
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ versions: VERSIONS }));
+        });
+        var appStoreOrigin = config.appStoreOrigin;
+
+        before(function (done) {
+            gServer.listen(0, '127.0.0.1', function () {
+                config.appStoreOrigin = function () { return 'http://127.0.0.1:' + gServer.address().port; };
+
+                done();
+            });
+        });
+
+        after(function (done) {
+            config.appStoreOrigin = appStoreOrigin;
+            gServer.close(done);
+        });
+
+        it('orders the versions by semver and drops invalid ones', function (done) {
+            actions.getStoreVersions('io.example.app', function (error, manifests) {
+                expect(error).to.be(null);
+                expect(gRequests).to.eql([ '/api/v1/apps/io.example.app/versions' ]);
+                expect(versions(manifests)).to.eql([ '1.0.0', '1.2.0', '1.9.1', '1.10.0', '2.0.0-beta.1' ]);
+
+                done();
+            });
+        });
+
+        it('fails for unknown apps', function (done) {
+            actions.getStoreVersions('io.example.unknown', function (error) {
+                expect(error.message).to.match(/Failed to get versions of io.example.unknown/);
+
+                done();
+            });
+        });
+    });
+
+    describe('target selection', function () {
+        var manifests = [ '1.0.0', '1.2.0', '1.9.1', '1.10.0' ].map(function (version) { return { version: version }; });
+
+        it('picks the latest version', function () {
+            var selected = actions.selectUpdate(manifests, '1.0.0');
+
+            expect(selected.target.version).to.be('1.10.0');
+            expect(versions(selected.changelog)).to.eql([ '1.10.0', '1.9.1', '1.2.0' ]);
+        });
+
+        it('picks the given version and only shows the changelogs up to it', function () {
+            var selected = actions.selectUpdate(manifests, '1.0.0', '1.9.1');
+
+            expect(selected.target.version).to.be('1.9.1');
+            expect(versions(selected.changelog)).to.eql([ '1.9.1', '1.2.0' ]);
+        });
+
+        it('does not show the changelog of the installed version or older ones', function () {
+            expect(versions(actions.selectUpdate(manifests, '1.2.0').changelog)).to.eql([ '1.10.0', '1.9.1' ]);
+            expect(versions(actions.selectUpdate(manifests, '1.10.0').changelog)).to.eql([ ]);
+        });
+
+        it('shows the changelogs after an installed version which is not in the store', function () {
+            expect(versions(actions.selectUpdate(manifests, '1.5.0').changelog)).to.eql([ '1.10.0', '1.9.1' ]);
+        });
+
+        it('fails for unknown versions', function () {
+            expect(actions.selectUpdate(manifests, '1.0.0', '1.3.0').error).to.be('No version 1.3.0 in the store. Available versions: 1.0.0, 1.2.0, 1.9.1, 1.10.0');
+        });
+    });
+
+    describe('port bindings', function () {
+        var app = {
+            manifest: {
+                tcpPorts: {
+                    SSH_PORT: { title: 'SSH', defaultValue: 22 },
+                    IRC_PORT: { title: 'IRC', defaultValue: 6667 },
+                    GIT_PORT: { title: 'Git', defaultValue: 9418 },
+                    OLD_PORT: { title: 'Old', defaultValue: 1234 }
+                }
+            },
+            portBindings: { SSH_PORT: 2222, GIT_PORT: 9418, OLD_PORT: 1234 } // IRC_PORT is disabled
+        };
+
+        var target = {
+            tcpPorts: {
+                SSH_PORT: { title: 'SSH', defaultValue: 22 },
+                IRC_PORT: { title: 'IRC', defaultValue: 6667 },
+                GIT_PORT: { title: 'Git daemon', defaultValue: 9418 },
+                NEW_PORT: { title: 'New', defaultValue: 5678 }
+            }
+        };
+
+        it('keeps the bindings, adds new ports and drops removed ones', function () {
+            expect(actions.updatePortBindings(app, target).portBindings).to.eql({ SSH_PORT: 2222, GIT_PORT: 9418, NEW_PORT: 5678 });
+        });
+
+        it('reports the added, removed and changed ports', function () {
+            var result = actions.updatePortBindings(app, target);
+
+            expect(result.added).to.eql([ 'NEW_PORT' ]);
+            expect(result.removed).to.eql([ 'OLD_PORT' ]);
+            expect(result.changed).to.eql([ 'GIT_PORT' ]);
+        });
+
+        it('handles apps without ports', function () {
+            expect(actions.updatePortBindings({ manifest: {} }, {})).to.eql({ portBindings: {}, added: [], removed: [], changed: [] });
+        });
+    });
+});
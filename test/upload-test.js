@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/* global it:false */
+/* global describe:false */
+/* global before:false */
+/* global after:false */
+
+'use strict';
+
+var execSync = require('child_process').execSync,
+    expect = require('expect.js'),
+    fs = require('fs'),
+    http = require('http'),
+    os = require('os'),
+    path = require('path'),
+    rimraf = require('rimraf'),
+    upload = require('../src/backup/upload.js'),
+    zlib = require('zlib');
+
+var TEST_DIR = path.join(os.tmpdir(), 'cloudron-upload-test');
+var KEY = 'backup key';
+var BACKUP_ID = 'appbackup_a1_2016-10-02T03:00:00.000Z-v1.0.0.tar.gz';
+
+describe('Backup upload', function () {
+    var plaintext = zlib.gzipSync(Buffer.from(new Array(5000).join('cloudron app backup ')));
+
+    function file(name) { return path.join(TEST_DIR, name); }
+
+    // decrypts with the openssl binary, like the server does
+    function opensslDecrypt(name) {
+        return execSync('openssl enc -d -aes-256-cbc -md md5 -in "' + file(name) + '" -pass env:KEY', { env: { PATH: process.env.PATH, KEY: KEY }, stdio: 'pipe' });
+    }
+
+    before(function () {
+        rimraf.sync(TEST_DIR);
+        fs.mkdirSync(TEST_DIR);
+        fs.writeFileSync(file('backup.tar.gz'), plaintext);
+    });
+
+    after(function () {
+        rimraf.sync(TEST_DIR);
+    });
+
+    describe('s3', function () {
+        var gRequests = [];
+        var gServer = http.createServer(function (req, res) {
+            var body = [];
+
+            req.on('data', function (data) { body.push(data); });
+            req.on('end', function () {
+                gRequests.push({ method: req.method, url: req.url });
+                fs.writeFileSync(file('s3.upload'), Buffer.concat(body));
+
+                res.writeHead(200, { ETag: '"etag"' });
+                res.end();
+            });
+        });
+
+        before(function (done) {
+            gServer.listen(0, '127.0.0.1', done);
+        });
+
+        after(function (done) {
+            gServer.close(done);
+        });
+
+        it('uploads the encrypted backup below the prefix', function (done) {
+            var backupConfig = {
+                provider: 's3',
+                key: KEY,
+                region: 'us-east-1',
+                bucket: 'bucket',
+                prefix: 'example.com',
+                accessKeyId: 'accessKeyId',
+                secretAccessKey: 'secretAccessKey',
+                endpoint: 'http://127.0.0.1:' + gServer.address().port
+            };
+
+            upload.upload(backupConfig, BACKUP_ID, file('backup.tar.gz'), {}, function (error) {
+                expect(error).to.be(null);
+                expect(gRequests.length).to.be(1);
+                expect(gRequests[0].method).to.be('PUT');
+                expect(decodeURIComponent(gRequests[0].url)).to.be('/bucket/example.com/' + BACKUP_ID);
+                expect(opensslDecrypt('s3.upload').equals(plaintext)).to.be(true);
+
+                done();
+            });
+        });
+    });
+
+    describe('filesystem', function () {
+        var originalPath = process.env.PATH;
+        var backupFolder = path.join(TEST_DIR, 'backups');
+
+        before(function () {
+            fs.mkdirSync(path.join(TEST_DIR, 'bin'));
+
+            // a fake ssh which runs the remote command locally
+            fs.writeFileSync(path.join(TEST_DIR, 'bin', 'ssh'), [
+                '#!/bin/sh',
+                'shift',
+                'while [ $# -gt 0 ]; do',
+                '    case "$1" in',
+                '        -p|-o|-i) shift 2 ;;',
+                '        -tt) shift ;;',
+                '        *) break ;;',
+                '    esac',
+                'done',
+                'exec sh -c "$*"',
+                ''
+            ].join('\n'), { mode: parseInt('755', 8) });
+
+            process.env.PATH = path.join(TEST_DIR, 'bin') + ':' + originalPath;
+        });
+
+        after(function () {
+            process.env.PATH = originalPath;
+        });
+
+        it('uploads the encrypted backup into the backup folder', function (done) {
+            upload.upload({ provider: 'filesystem', key: KEY, backupFolder: backupFolder }, BACKUP_ID, file('backup.tar.gz'), { backupHost: 'my.example.com' }, function (error) {
+                expect(error).to.be(null);
+                expect(fs.readdirSync(backupFolder)).to.eql([ BACKUP_ID ]);
+                expect(opensslDecrypt('backups/' + BACKUP_ID).equals(plaintext)).to.be(true);
+
+                done();
+            });
+        });
+
+        it('does not leave a partial backup behind if the backup cannot be read', function (done) {
+            upload.upload({ provider: 'filesystem', key: KEY, backupFolder: backupFolder }, 'missing.tar.gz', file('missing.tar.gz'), { backupHost: 'my.example.com' }, function (error) {
+                expect(error.code).to.be('ENOENT');
+                expect(fs.readdirSync(backupFolder)).to.eql([ BACKUP_ID ]);
+
+                done();
+            });
+        });
+    });
+
+    it('fails for other providers', function (done) {
+        upload.upload({ provider: 'caas', key: KEY }, BACKUP_ID, file('backup.tar.gz'), {}, function (error) {
+            expect(error.message).to.match(/Backups of the caas provider cannot be uploaded/);
+
+            done();
+        });
+    });
+});